@@ -4,159 +4,183 @@
 let authToken = null;
 let sellerInfo = null;
 
-// Initialize Axios instance with interceptors
-const axiosInstance = axios.create({
-  get baseURL() { return getAPIURL(); },
-  timeout: 30000,
-  withCredentials: true
-});
+// Let the API client refresh the token once, then fall back to the session-expiry flow
+apiClient.refreshHandler = refreshAuthToken;
+apiClient.unauthorizedHandler = handleSessionExpired;
+authManager.sessionExpiredHandler = handleSessionExpired;
+
+// AuthManager shares one refresh between every request that hit a 401
+async function refreshAuthToken() {
+  const token = await authManager.refreshAuthToken();
+  if (token) {
+    authToken = token;
+  }
+  return token;
+}
 
-// Request interceptor
-axiosInstance.interceptors.request.use(
-  (config) => {
-    if (authToken) {
-      config.headers.Authorization = `Bearer ${authToken}`;
-    }
-    // Add security headers
-    config.headers['X-XSS-Protection'] = '1; mode=block';
-    // Removed CSP header as it's handled by HTML meta tag
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
-
-// Response interceptor
-axiosInstance.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    if (error.response?.status === 401) {
-      // Try to refresh token
-      try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (refreshToken) {
-          const response = await fetch(`${getAPIURL()}/auth/refresh`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ refreshToken })
-          });
-          const data = await response.json();
-          if (data.token) {
-            authToken = data.token;
-            localStorage.setItem('sellerAuthToken', data.token);
-            // Retry the original request
-            return axiosInstance(error.config);
-          }
-        }
-      } catch (refreshError) {
-        console.error('Token refresh failed:', refreshError);
+// Keep this tab in step with logins, logouts and refreshes made in other tabs
+function handleSessionChange({ type }) {
+  switch (type) {
+    case 'logout':
+      idleMonitor.stop();
+      apiClient.cancelAll();
+      requestCache.clear();
+      authManager.clearOfflineData();
+      authToken = null;
+      sellerInfo = null;
+      sessionExpired = true;
+      showMessage('You have been logged out in another tab.', 'warning');
+      setTimeout(() => {
+        window.location.href = 'seller.html';
+      }, 1000);
+      break;
+    case 'switch':
+      // Never show one seller's data under another seller's session
+      apiClient.cancelAll();
+      requestCache.clear();
+      authManager.clearOfflineData();
+      showMessage('Another seller account was signed in. Reloading dashboard...', 'warning');
+      setTimeout(() => window.location.reload(), 1000);
+      break;
+    case 'login':
+    case 'refresh':
+      authToken = authManager.getAuthToken();
+      sellerInfo = authManager.getSellerInfo();
+      sessionExpired = false;
+      break;
+    case 'profile': {
+      const previous = sellerInfo;
+      sellerInfo = authManager.getSellerInfo();
+      if (permissionsChanged(previous, sellerInfo)) {
+        reloadForNewRole();
+        break;
       }
-      // If refresh failed, logout
-      logout();
+      displaySellerInfo();
+      break;
     }
-    return Promise.reject(error);
   }
-);
+}
+
+// A role change can both grant and revoke controls - reload rather than
+// patch every open popup in place
+function permissionsChanged(previous, current) {
+  return previous?.role !== current?.role ||
+    String(previous?.permissions) !== String(current?.permissions);
+}
+
+function reloadForNewRole() {
+  apiClient.cancelAll();
+  showMessage('Your access level changed. Reloading dashboard...', 'warning');
+  setTimeout(() => window.location.reload(), 1000);
+}
+
+// Several requests can fail with 401 at once - only log out once
+let sessionExpired = false;
+
+function handleSessionExpired(error) {
+  if (sessionExpired) return;
+  sessionExpired = true;
+
+  const reason = error?.data?.message || '';
+  const accountDisabled = reason.includes('blocked') || reason.includes('deleted');
+
+  let message = 'Session expired. Please login again.';
+  if (error?.data?.code === 'SESSION_REVOKED') {
+    message = 'This session was signed out from another device. Please login again.';
+  } else if (accountDisabled) {
+    message = reason;
+  }
+  logout(message, 'error');
+}
+
+// Catalog mutations refuse to run without a session instead of relying on a lenient backend
+function requireSession() {
+  authToken = authManager.getAuthToken();
+  if (authToken) return true;
+
+  handleSessionExpired();
+  return false;
+}
+
+// Staff roles only see the controls they may use; this catches the rest
+// (a popup left open across a role change, handlers called from the console)
+function requirePermission(permission) {
+  if (permissions.can(permission)) return true;
+
+  showMessage(`Your ${permissions.getRoleLabel()} role can't do this. Ask the shop owner for access.`, 'error');
+  return false;
+}
+
+// data-feature only hides controls - handlers check the flag again before acting
+function requireFeature(feature) {
+  if (isFeatureEnabled(feature)) return true;
+
+  showMessage('This feature is not enabled for your shop.', 'error');
+  return false;
+}
+
+// Copy the listed fields of a record for an audit entry's before/after values
+function pickFields(source, fields) {
+  if (!source) return null;
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
 
 // Utility Functions
-// Toast notification system
+// Toast notification system - notifications.js owns the toastr setup
 function showMessage(message, type = 'info') {
-  if (window.notifications) {
-    window.notifications.show(message, type);
-  } else if (window.toastr) {
-    const toastConfig = {
-      closeButton: true,
-      timeOut: 5000,
-      progressBar: true,
-      preventDuplicates: true,
-      positionClass: 'toast-top-right'
-    };
-    
-    switch(type) {
-      case 'error':
-        toastr.error(message, 'Error', toastConfig);
-        break;
-      case 'success':
-        toastr.success(message, 'Success', toastConfig);
-        break;
-      case 'warning':
-        toastr.warning(message, 'Warning', toastConfig);
-        break;
-      default:
-        toastr.info(message, 'Info', toastConfig);
-    }
+  if (window.notificationManager) {
+    notificationManager.showNotification(message, type);
   } else {
     // Fallback to alert if notification system not loaded
     alert(message);
   }
 }
 
-// Enhanced error handling with retry mechanism
-function handleApiError(error, defaultMessage, retryCount = 0) {
+// Show a user-facing message for a failed API call
+function handleApiError(error, defaultMessage) {
   console.error('API Error:', error);
-  
-  // Network errors might be temporary - retry up to 3 times
-  if (error.message === 'Network Error' && retryCount < 3) {
-    setTimeout(() => {
-      console.log(`Retrying request... Attempt ${retryCount + 1}`);
-      return retryRequest(error.config, retryCount + 1);
-    }, 1000 * (retryCount + 1)); // Exponential backoff
+
+  // Superseded requests are not failures
+  if (error.isAborted) return;
+
+  if (!(error instanceof ApiError)) {
+    showMessage(error.message || defaultMessage, 'error');
     return;
   }
 
-  // Handle specific error types
-  if (error.response) {
-    switch (error.response.status) {
-      case 400:
-        showMessage('Invalid request. Please check your input.', 'error');
-        break;
-      case 401:
-        showMessage('Session expired. Please login again.', 'error');
-        logout();
-        break;
-      case 403:
-        showMessage('You don\'t have permission to perform this action.', 'error');
-        break;
-      case 404:
-        showMessage('Resource not found.', 'error');
-        break;
-      case 429:
-        showMessage('Too many requests. Please try again later.', 'warning');
-        break;
-      case 500:
+  const serverMessage = error.data?.message || error.data?.error;
+
+  switch (error.status) {
+    case 0:
+      showMessage(error.message || defaultMessage, 'error');
+      break;
+    case 400:
+      showMessage(serverMessage || 'Invalid request. Please check your input.', 'error');
+      break;
+    case 401:
+      // Already handled by the session-expiry flow
+      break;
+    case 403:
+      showMessage('You don\'t have permission to perform this action.', 'error');
+      break;
+    case 404:
+      showMessage(serverMessage || 'Resource not found.', 'error');
+      break;
+    case 429:
+      showMessage('Too many requests. Please try again later.', 'warning');
+      break;
+    default:
+      if (error.status >= 500) {
         showMessage('Server error. Please try again later.', 'error');
-        break;
-      default:
-        showMessage(error.response.data?.message || defaultMessage, 'error');
-    }
-  } else if (error.message) {
-    showMessage(error.message, 'error');
-  } else {
-    showMessage(defaultMessage, 'error');
-  }
-
-  // Log error to monitoring service (if available)
-  logError(error);
-}
-
-
-// Request caching system
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-function getCachedData(key) {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+      } else {
+        showMessage(serverMessage || defaultMessage, 'error');
+      }
   }
-  return null;
 }
 
-function setCachedData(key, data) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
-}
 
 // Performance monitoring
 const performance = {
@@ -175,29 +199,11 @@ const performance = {
   }
 };
 
-// Enhanced Authentication Helper with security headers
-function getAuthHeaders() {
-  return {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-    'Authorization': `Bearer ${authToken}`,
-    'X-Requested-With': 'XMLHttpRequest',
-    'X-Content-Type-Options': 'nosniff',
-    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains'
-  };
-}
-
-function getMultipartAuthHeaders() {
-  return {
-    'Authorization': `Bearer ${authToken}`
-  };
-}
-
 // Initialize Order Notifications
 async function initializeOrderNotifications() {
   try {
     // Get seller ID from stored seller info or generate one
-    const storedSellerInfo = JSON.parse(localStorage.getItem('sellerInfo') || '{}');
+    const storedSellerInfo = authManager.getSellerInfo() || {};
     const sellerId = storedSellerInfo.id || storedSellerInfo._id || 'seller-' + Date.now();
     
     console.log('🔔 Initializing notifications for seller:', sellerId);
@@ -230,7 +236,7 @@ async function loadNotificationScript() {
     script.onload = async () => {
       console.log('📦 Notification script loaded dynamically');
       if (window.notificationManager) {
-        const storedSellerInfo = JSON.parse(localStorage.getItem('sellerInfo') || '{}');
+        const storedSellerInfo = authManager.getSellerInfo() || {};
         const sellerId = storedSellerInfo.id || storedSellerInfo._id || 'seller-' + Date.now();
         await window.notificationManager.initialize(sellerId);
         console.log('✅ Order notifications initialized after dynamic load');
@@ -244,39 +250,1040 @@ async function loadNotificationScript() {
 
 // Check authentication status
 function checkAuthentication() {
-  authToken = localStorage.getItem('sellerAuthToken');
-  const storedSellerInfo = localStorage.getItem('sellerInfo');
+  authManager.init();
+  authToken = authManager.getAuthToken();
   
-  if (!authToken) {
-    console.log('No auth token found, redirecting to login');
+  // An expired token is still usable if AuthManager can refresh it
+  if (!authToken || (!authManager.isAuthenticated() && !authManager.canRefresh())) {
+    console.log('No valid session found, redirecting to login');
+    authManager.clearSession();
     window.location.href = 'seller.html';
     return false;
   }
   
-  if (storedSellerInfo) {
-    try {
-      sellerInfo = JSON.parse(storedSellerInfo);
-      console.log('Seller info loaded:', sellerInfo);
-    } catch (e) {
-      console.error('Error parsing seller info:', e);
-    }
+  sellerInfo = authManager.getSellerInfo();
+  if (sellerInfo) {
+    console.log('Seller info loaded:', sellerInfo);
   }
   
   return true;
 }
 
 // Logout functionality
-function logout() {
-  localStorage.removeItem('sellerAuthToken');
-  localStorage.removeItem('sellerInfo');
+function logout(message = 'Logged out successfully', type = 'success') {
+  idleMonitor.stop();
+  apiClient.cancelAll();
+  requestCache.clear();
+  authManager.clearSession(); // also drops the offline data
   authToken = null;
   sellerInfo = null;
-  showMessage('Logged out successfully', 'success');
+  showMessage(message, type);
   setTimeout(() => {
     window.location.href = 'seller.html';
   }, 1000);
 }
 
+// ---------------------- Idle Lock ----------------------
+const MAX_UNLOCK_ATTEMPTS = 5;
+let unlockAttempts = 0;
+
+function setupIdleLock() {
+  idleMonitor.warningHandler = showIdleWarning;
+  idleMonitor.activeHandler = hideIdleOverlays;
+  idleMonitor.lockHandler = showLockScreen;
+  idleMonitor.logoutHandler = () => logout('You were logged out after a period of inactivity.', 'warning');
+
+  document.getElementById('stayActiveBtn').addEventListener('click', () => idleMonitor.recordActivity());
+  document.getElementById('unlockForm').addEventListener('submit', unlockDashboard);
+  document.getElementById('lockLogoutBtn').addEventListener('click', () => logout());
+
+  idleMonitor.start();
+}
+
+function showIdleWarning(secondsLeft) {
+  const warning = document.getElementById('idleWarning');
+  document.getElementById('idleCountdown').textContent = secondsLeft;
+  warning.classList.remove('hidden');
+}
+
+function hideIdleOverlays() {
+  document.getElementById('idleWarning').classList.add('hidden');
+  document.getElementById('lockScreen').classList.add('hidden');
+  setPageInert(false);
+  unlockAttempts = 0;
+}
+
+// The lock screen only covers the page, so open popups and half-filled
+// forms underneath are left exactly as they were
+function showLockScreen() {
+  document.getElementById('idleWarning').classList.add('hidden');
+  document.getElementById('lockSellerName').textContent = sellerInfo?.name || sellerInfo?.email || 'Seller';
+  document.getElementById('unlockError').textContent = '';
+  document.getElementById('lockScreen').classList.remove('hidden');
+  setPageInert(true);
+  document.getElementById('unlockPassword').focus();
+}
+
+// Keep keyboard focus from reaching controls behind the lock screen
+function setPageInert(inert) {
+  document.querySelectorAll('body > *:not(#lockScreen)').forEach(element => {
+    element.inert = inert;
+  });
+}
+
+async function unlockDashboard(event) {
+  event.preventDefault();
+
+  const passwordInput = document.getElementById('unlockPassword');
+  const errorText = document.getElementById('unlockError');
+  const submitBtn = event.target.querySelector('button[type="submit"]');
+  const password = passwordInput.value;
+
+  if (!password) {
+    errorText.textContent = 'Please enter your password.';
+    return;
+  }
+
+  submitBtn.disabled = true;
+  errorText.textContent = '';
+
+  try {
+    // Re-check the password only; the session token itself is still valid
+    await apiClient.post('/sellers/login', {
+      emailOrPhone: sellerInfo?.email,
+      password
+    }, { auth: false });
+
+    passwordInput.value = '';
+    idleMonitor.unlock();
+    showMessage('Dashboard unlocked', 'success');
+  } catch (error) {
+    passwordInput.value = '';
+    if (error.isNetworkError || error.isTimeout) {
+      errorText.textContent = 'Network error. Please try again.';
+      return;
+    }
+
+    unlockAttempts++;
+    if (unlockAttempts >= MAX_UNLOCK_ATTEMPTS) {
+      logout('Too many failed unlock attempts. Please login again.', 'error');
+      return;
+    }
+    errorText.textContent = `Incorrect password. ${MAX_UNLOCK_ATTEMPTS - unlockAttempts} attempt(s) left.`;
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+// ---------------------- Passkeys ----------------------
+async function openPasskeysPopup(suggest = false) {
+  const supported = passkeys.isSupported();
+  document.getElementById('passkeySuggestion').classList.toggle('hidden', !suggest);
+  document.getElementById('passkeyUnsupported').classList.toggle('hidden', supported);
+  document.getElementById('addPasskeyBtn').disabled = !supported;
+
+  openPopup('passkeysPopup');
+  await loadPasskeys();
+}
+
+// Right after a password + OTP login, suggest a passkey if this device can hold one
+async function offerPasskeySetup() {
+  if (sessionStorage.getItem('offerPasskeySetup') !== 'true') return;
+  sessionStorage.removeItem('offerPasskeySetup');
+
+  if (!(await passkeys.isPlatformAuthenticatorAvailable())) return;
+
+  try {
+    const credentials = await passkeys.list();
+    if (credentials.length === 0) {
+      openPasskeysPopup(true);
+    }
+  } catch (error) {
+    console.warn('Could not check passkeys:', error);
+  }
+}
+
+async function loadPasskeys() {
+  const list = document.getElementById('passkeyList');
+  list.innerHTML = '<p>Loading passkeys...</p>';
+
+  try {
+    renderPasskeys(await passkeys.list());
+  } catch (error) {
+    list.innerHTML = '<p style="color:#dc3545;">Error loading passkeys. Please try again later.</p>';
+    handleApiError(error, 'Failed to load passkeys');
+  }
+}
+
+function renderPasskeys(credentials) {
+  const list = document.getElementById('passkeyList');
+  list.innerHTML = '';
+
+  if (credentials.length === 0) {
+    list.innerHTML = '<p>No passkeys yet. You are signing in with your password and email OTP.</p>';
+    return;
+  }
+
+  credentials.forEach(credential => {
+    const item = document.createElement('div');
+    item.className = 'passkey-item';
+
+    // Names are seller-provided, so set them as text rather than HTML
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = credential.name || 'Unnamed passkey';
+    const meta = document.createElement('small');
+    const created = credential.createdAt ? new Date(credential.createdAt).toLocaleDateString() : 'N/A';
+    const lastUsed = credential.lastUsedAt ? new Date(credential.lastUsedAt).toLocaleString() : 'never';
+    meta.textContent = `Added ${created} · Last used ${lastUsed}`;
+    info.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'passkey-actions';
+    const renameBtn = document.createElement('button');
+    renameBtn.textContent = '✏️ Rename';
+    renameBtn.addEventListener('click', () => renamePasskey(credential));
+    const revokeBtn = document.createElement('button');
+    revokeBtn.textContent = '🗑️ Revoke';
+    revokeBtn.className = 'danger';
+    revokeBtn.addEventListener('click', () => revokePasskey(credential));
+    actions.append(renameBtn, revokeBtn);
+
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+}
+
+function getDefaultPasskeyName() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || 'This device';
+  return `${platform} passkey`;
+}
+
+async function addPasskey() {
+  const name = prompt('Name this passkey (e.g. "Shop laptop"):', getDefaultPasskeyName());
+  if (name === null) return;
+
+  const addBtn = document.getElementById('addPasskeyBtn');
+  addBtn.disabled = true;
+
+  try {
+    await passkeys.register(name.trim() || getDefaultPasskeyName());
+    showMessage('Passkey added. You can now sign in with it.', 'success');
+    document.getElementById('passkeySuggestion').classList.add('hidden');
+    await loadPasskeys();
+  } catch (error) {
+    if (error instanceof ApiError) {
+      handleApiError(error, 'Failed to add passkey');
+    } else {
+      console.error('❌ Passkey registration failed:', error);
+      showMessage(passkeys.errorMessage(error), 'error');
+    }
+  } finally {
+    addBtn.disabled = false;
+  }
+}
+
+async function renamePasskey(credential) {
+  const name = prompt('New name for this passkey:', credential.name || '');
+  if (name === null || !name.trim() || name.trim() === credential.name) return;
+
+  try {
+    await passkeys.rename(credential.id, name.trim());
+    showMessage('Passkey renamed', 'success');
+    await loadPasskeys();
+  } catch (error) {
+    handleApiError(error, 'Failed to rename passkey');
+  }
+}
+
+async function revokePasskey(credential) {
+  if (!confirm(`Revoke "${credential.name || 'Unnamed passkey'}"? It will no longer be able to sign in.`)) return;
+
+  try {
+    await passkeys.revoke(credential.id);
+    showMessage('Passkey revoked', 'success');
+    await loadPasskeys();
+  } catch (error) {
+    handleApiError(error, 'Failed to revoke passkey');
+  }
+}
+
+// ---------------------- Authenticator App (TOTP) ----------------------
+let totpBackupCodes = [];
+
+function setupTotpControls() {
+  document.getElementById('startTotpSetupBtn').addEventListener('click', startTotpSetup);
+  document.getElementById('confirmTotpSetupBtn').addEventListener('click', confirmTotpSetup);
+  document.getElementById('downloadBackupCodesBtn').addEventListener('click', downloadBackupCodes);
+  document.getElementById('doneBackupCodesBtn').addEventListener('click', loadTotpStatus);
+  document.getElementById('regenerateBackupCodesBtn').addEventListener('click', regenerateBackupCodes);
+  document.getElementById('disableTotpBtn').addEventListener('click', disableTotp);
+}
+
+function showTotpView(view) {
+  ['totpDisabledView', 'totpSetupView', 'totpBackupCodesView', 'totpEnabledView'].forEach(id => {
+    document.getElementById(id).classList.toggle('hidden', id !== view);
+  });
+}
+
+async function openTotpPopup() {
+  openPopup('totpPopup');
+  await loadTotpStatus();
+}
+
+async function loadTotpStatus() {
+  const statusText = document.getElementById('totpStatus');
+  statusText.textContent = 'Loading...';
+  totpBackupCodes = [];
+
+  try {
+    const status = await apiClient.get('/sellers/totp', { requireAuth: true });
+    if (status.enabled) {
+      statusText.textContent = `✅ Enabled · ${status.backupCodesRemaining ?? 0} backup code(s) left`;
+      showTotpView('totpEnabledView');
+    } else {
+      statusText.textContent = 'Not enabled. You are signing in with email OTP.';
+      showTotpView('totpDisabledView');
+    }
+  } catch (error) {
+    statusText.textContent = 'Could not load authenticator app status.';
+    handleApiError(error, 'Failed to load authenticator app status');
+  }
+}
+
+async function startTotpSetup() {
+  try {
+    // The server renders the QR code so the secret never leaves our backend
+    const setup = await apiClient.post('/sellers/totp/setup', {}, { requireAuth: true });
+    document.getElementById('totpQrCode').src = setup.qrCode;
+    document.getElementById('totpSecret').textContent = setup.secret;
+    document.getElementById('totpSetupCode').value = '';
+    showTotpView('totpSetupView');
+  } catch (error) {
+    handleApiError(error, 'Failed to start authenticator app setup');
+  }
+}
+
+async function confirmTotpSetup() {
+  const code = document.getElementById('totpSetupCode').value.trim();
+  if (!/^\d{6}$/.test(code)) {
+    showMessage('Please enter the 6-digit code from your authenticator app', 'error');
+    return;
+  }
+
+  try {
+    const result = await apiClient.post('/sellers/totp/verify', { code }, { requireAuth: true });
+    showMessage('Authenticator app enabled', 'success');
+    document.getElementById('totpStatus').textContent = '✅ Enabled';
+    showBackupCodes(result.backupCodes || []);
+  } catch (error) {
+    handleApiError(error, 'Invalid code. Please try again.');
+  }
+}
+
+function showBackupCodes(codes) {
+  totpBackupCodes = codes;
+  const list = document.getElementById('totpBackupCodes');
+  list.innerHTML = '';
+  codes.forEach(code => {
+    const item = document.createElement('li');
+    item.textContent = code;
+    list.appendChild(item);
+  });
+  showTotpView('totpBackupCodesView');
+}
+
+function downloadBackupCodes() {
+  const lines = [
+    `Seller Dashboard backup codes for ${sellerInfo?.email || 'your account'}`,
+    `Generated ${new Date().toLocaleString()}`,
+    '',
+    ...totpBackupCodes
+  ];
+  downloadBlob(new Blob([lines.join('\n')], { type: 'text/plain' }), 'seller-backup-codes.txt');
+}
+
+// Changing 2FA settings needs a current code from the app (or a backup code)
+function promptTotpCode(action) {
+  const code = prompt(`Enter a code from your authenticator app (or a backup code) to ${action}:`);
+  return code ? code.trim() : null;
+}
+
+async function regenerateBackupCodes() {
+  const code = promptTotpCode('generate new backup codes');
+  if (!code) return;
+
+  try {
+    const result = await apiClient.post('/sellers/totp/backup-codes', { code }, { requireAuth: true });
+    showMessage('New backup codes generated. The old ones no longer work.', 'success');
+    showBackupCodes(result.backupCodes || []);
+  } catch (error) {
+    handleApiError(error, 'Failed to generate backup codes');
+  }
+}
+
+async function disableTotp() {
+  if (!confirm('Disable the authenticator app? You will sign in with email OTP only.')) return;
+
+  const code = promptTotpCode('disable the authenticator app');
+  if (!code) return;
+
+  try {
+    await apiClient.request('/sellers/totp', { method: 'DELETE', body: { code }, requireAuth: true });
+    showMessage('Authenticator app disabled', 'success');
+    await loadTotpStatus();
+  } catch (error) {
+    handleApiError(error, 'Failed to disable authenticator app');
+  }
+}
+
+// ---------------------- Active Sessions ----------------------
+async function openSessionsPopup() {
+  openPopup('sessionsPopup');
+  await loadSessions();
+}
+
+async function loadSessions() {
+  const list = document.getElementById('sessionList');
+  list.innerHTML = '<p>Loading sessions...</p>';
+
+  try {
+    const data = await apiClient.get('/sellers/sessions', { requireAuth: true });
+    renderSessions(Array.isArray(data) ? data : (data?.sessions || []));
+  } catch (error) {
+    list.innerHTML = '<p style="color:#dc3545;">Error loading sessions. Please try again later.</p>';
+    handleApiError(error, 'Failed to load sessions');
+  }
+}
+
+function renderSessions(sessions) {
+  const list = document.getElementById('sessionList');
+  list.innerHTML = '';
+
+  // Current session first, then most recently active
+  sessions.sort((a, b) => (b.current - a.current) || (new Date(b.lastSeenAt) - new Date(a.lastSeenAt)));
+
+  sessions.forEach(session => {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+
+    // Device and browser strings come from request headers - set them as text
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = `${session.browser || 'Unknown browser'} on ${session.device || 'unknown device'}`;
+    if (session.current) {
+      const badge = document.createElement('span');
+      badge.className = 'session-current';
+      badge.textContent = 'This device';
+      title.append(' ', badge);
+    }
+    const meta = document.createElement('small');
+    const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).toLocaleString() : 'N/A';
+    meta.textContent = `IP ${session.ip || 'unknown'} · Last seen ${lastSeen}`;
+    info.append(title, meta);
+    item.appendChild(info);
+
+    if (!session.current) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = '🚪 Sign Out';
+      revokeBtn.className = 'danger';
+      revokeBtn.addEventListener('click', () => revokeSession(session));
+      item.appendChild(revokeBtn);
+    }
+
+    list.appendChild(item);
+  });
+
+  document.getElementById('revokeOtherSessionsBtn').disabled = !sessions.some(session => !session.current);
+}
+
+async function revokeSession(session) {
+  if (!confirm(`Sign out ${session.browser || 'this session'} on ${session.device || 'unknown device'}?`)) return;
+
+  try {
+    await apiClient.delete(`/sellers/sessions/${session.id}`, { requireAuth: true });
+    showMessage('Session signed out', 'success');
+    await loadSessions();
+  } catch (error) {
+    handleApiError(error, 'Failed to sign out session');
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm('Sign out every other device? This device stays logged in.')) return;
+
+  try {
+    await apiClient.post('/sellers/sessions/revoke-others', {}, { requireAuth: true });
+    showMessage('All other sessions signed out', 'success');
+    await loadSessions();
+  } catch (error) {
+    handleApiError(error, 'Failed to sign out other sessions');
+  }
+}
+
+// ---------------------- Feature Flags ----------------------
+// Sections marked data-feature="NAME" in index.html disappear when api-config
+// switches NAME off for this seller; permissions.js handles roles separately
+function applyFeatureFlags() {
+  document.querySelectorAll('[data-feature]').forEach(element => {
+    element.classList.toggle('feature-disabled', !isFeatureEnabled(element.dataset.feature));
+  });
+}
+
+// ---------------------- Staff Accounts ----------------------
+function setupStaffManagement() {
+  const roleSelect = document.getElementById('staffRole');
+  Object.entries(ROLE_LABELS)
+    .filter(([role]) => role !== 'owner')
+    .forEach(([role, label]) => roleSelect.add(new Option(label, role)));
+
+  document.getElementById('inviteStaffForm').addEventListener('submit', inviteStaff);
+  renderRoleMatrix();
+}
+
+async function openStaffPopup() {
+  if (!requirePermission('staff.manage')) return;
+  if (!requireFeature('STAFF_ACCOUNTS')) return;
+  openPopup('staffPopup');
+  await loadStaff();
+}
+
+async function loadStaff() {
+  const list = document.getElementById('staffList');
+  list.innerHTML = '<p>Loading staff...</p>';
+
+  try {
+    const data = await apiClient.get('/sellers/staff', { requireAuth: true });
+    renderStaff(Array.isArray(data) ? data : (data?.staff || []));
+  } catch (error) {
+    list.innerHTML = '<p style="color:#dc3545;">Error loading staff. Please try again later.</p>';
+    handleApiError(error, 'Failed to load staff accounts');
+  }
+}
+
+function renderStaff(staff) {
+  const list = document.getElementById('staffList');
+  list.innerHTML = '';
+
+  if (staff.length === 0) {
+    list.innerHTML = '<p>No staff accounts yet. Invite someone above.</p>';
+    return;
+  }
+
+  staff.forEach(member => {
+    const item = document.createElement('div');
+    item.className = 'staff-item';
+
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = member.name || member.email;
+    const meta = document.createElement('small');
+    meta.textContent = `${member.email} · ${member.status === 'invited' ? 'Invitation pending' : 'Active'}`;
+    info.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'passkey-actions';
+
+    const roleSelect = document.createElement('select');
+    Object.entries(ROLE_LABELS)
+      .filter(([role]) => role !== 'owner')
+      .forEach(([role, label]) => roleSelect.add(new Option(label, role)));
+    roleSelect.value = member.role;
+    roleSelect.addEventListener('change', () => updateStaffRole(member, roleSelect));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '🗑️ Remove';
+    removeBtn.className = 'danger';
+    removeBtn.addEventListener('click', () => removeStaff(member));
+
+    actions.append(roleSelect, removeBtn);
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+}
+
+// Read-only overview so the owner knows what a role grants before assigning it
+function renderRoleMatrix() {
+  const container = document.getElementById('rolePermissionMatrix');
+  const roles = Object.keys(ROLE_LABELS);
+  const table = document.createElement('table');
+
+  const header = table.createTHead().insertRow();
+  header.insertCell().textContent = 'Permission';
+  roles.forEach(role => {
+    header.insertCell().textContent = ROLE_LABELS[role];
+  });
+
+  const body = table.createTBody();
+  Object.entries(PERMISSION_LABELS).forEach(([permission, label]) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = label;
+    roles.forEach(role => {
+      row.insertCell().textContent = ROLE_PERMISSIONS[role].includes(permission) ? '✅' : '—';
+    });
+  });
+
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+async function inviteStaff(event) {
+  event.preventDefault();
+  if (!requirePermission('staff.manage')) return;
+  if (!requireFeature('STAFF_ACCOUNTS')) return;
+
+  const form = event.target;
+  const name = document.getElementById('staffName').value.trim();
+  const email = document.getElementById('staffEmail').value.trim();
+  const role = document.getElementById('staffRole').value;
+
+  if (!name) {
+    showMessage('Please enter a name', 'warning');
+    return;
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    showMessage('Please enter a valid email address', 'warning');
+    return;
+  }
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    await apiClient.post('/sellers/staff', { name, email, role }, {
+      requireAuth: true,
+      audit: {
+        action: 'staff.invite',
+        entity: 'staff',
+        summary: `Invited ${email} as ${ROLE_LABELS[role]}`,
+        after: { name, email, role }
+      }
+    });
+    showMessage(`Invitation sent to ${email}`, 'success');
+    form.reset();
+    await loadStaff();
+  } catch (error) {
+    handleApiError(error, 'Failed to invite staff member');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+async function updateStaffRole(member, roleSelect) {
+  if (!requirePermission('staff.manage') || !requireFeature('STAFF_ACCOUNTS')) {
+    roleSelect.value = member.role;
+    return;
+  }
+  const role = roleSelect.value;
+  if (!confirm(`Change ${member.name || member.email} to ${ROLE_LABELS[role]}?`)) {
+    roleSelect.value = member.role;
+    return;
+  }
+
+  try {
+    await apiClient.patch(`/sellers/staff/${member.id}`, { role }, {
+      requireAuth: true,
+      audit: {
+        action: 'staff.role',
+        entity: 'staff',
+        entityId: member.id,
+        summary: `Changed ${member.email} to ${ROLE_LABELS[role]}`,
+        before: { role: member.role },
+        after: { role }
+      }
+    });
+    member.role = role;
+    showMessage('Role updated', 'success');
+  } catch (error) {
+    roleSelect.value = member.role;
+    handleApiError(error, 'Failed to update role');
+  }
+}
+
+async function removeStaff(member) {
+  if (!requirePermission('staff.manage') || !requireFeature('STAFF_ACCOUNTS')) return;
+  if (!confirm(`Remove ${member.name || member.email}? They will be signed out everywhere.`)) return;
+
+  try {
+    await apiClient.delete(`/sellers/staff/${member.id}`, {
+      requireAuth: true,
+      audit: {
+        action: 'staff.remove',
+        entity: 'staff',
+        entityId: member.id,
+        summary: `Removed ${member.email}`,
+        before: { name: member.name, email: member.email, role: member.role }
+      }
+    });
+    showMessage('Staff member removed', 'success');
+    await loadStaff();
+  } catch (error) {
+    handleApiError(error, 'Failed to remove staff member');
+  }
+}
+
+// ---------------------- Activity Log ----------------------
+const MAX_EXPORT_PAGES = 20; // CSV export stops after this many pages of entries
+let activityPage = 1;
+let activityFilters = {};
+
+function setupActivityLog() {
+  const entitySelect = document.getElementById('activityEntity');
+  Object.entries(AUDIT_ENTITIES).forEach(([entity, label]) => entitySelect.add(new Option(label, entity)));
+
+  document.getElementById('activityFilters').addEventListener('submit', (event) => {
+    event.preventDefault();
+    loadActivity();
+  });
+  document.getElementById('loadMoreActivityBtn').addEventListener('click', () => loadActivity(activityPage + 1));
+  document.getElementById('exportActivityBtn').addEventListener('click', exportActivityCsv);
+}
+
+async function openActivityPopup() {
+  if (!requirePermission('audit.view')) return;
+  if (!requireFeature('ACTIVITY_LOG')) return;
+  openPopup('activityPopup');
+  await loadActivity();
+}
+
+// Date inputs are local days - send the whole of each day as an ISO range
+function readActivityFilters() {
+  const from = document.getElementById('activityFrom').value;
+  const to = document.getElementById('activityTo').value;
+
+  return {
+    entity: document.getElementById('activityEntity').value || undefined,
+    actor: document.getElementById('activityActor').value.trim() || undefined,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+  };
+}
+
+async function loadActivity(page = 1) {
+  const list = document.getElementById('activityList');
+  const loadMoreBtn = document.getElementById('loadMoreActivityBtn');
+
+  if (page === 1) {
+    activityFilters = readActivityFilters();
+    list.innerHTML = '<tr><td colspan="5">Loading activity...</td></tr>';
+  }
+  loadMoreBtn.disabled = true;
+
+  try {
+    const { entries, hasMore } = await auditLog.list(activityFilters, page);
+    activityPage = page;
+
+    if (page === 1) {
+      list.innerHTML = entries.length ? '' : '<tr><td colspan="5">No activity matches these filters.</td></tr>';
+    }
+    entries.forEach(entry => list.appendChild(renderActivityRow(entry)));
+    loadMoreBtn.classList.toggle('hidden', !hasMore);
+  } catch (error) {
+    if (page === 1 && !error.isAborted) {
+      list.innerHTML = '<tr><td colspan="5" style="color:#dc3545;">Error loading activity. Please try again later.</td></tr>';
+    }
+    handleApiError(error, 'Failed to load activity');
+  } finally {
+    loadMoreBtn.disabled = false;
+  }
+}
+
+// Summaries and values can contain product and customer names - set them as text
+function renderActivityRow(entry) {
+  const row = document.createElement('tr');
+  const actor = entry.actor || {};
+  const role = actor.role && actor.role !== 'owner' ? ` (${permissions.getRoleLabel(actor.role)})` : '';
+
+  [
+    new Date(entry.createdAt).toLocaleString(),
+    `${actor.name || actor.email || 'Unknown'}${role}`,
+    entry.summary || entry.action,
+    `${AUDIT_ENTITIES[entry.entity] || entry.entity}${entry.entityId ? ` #${entry.entityId}` : ''}`,
+    auditLog.describeChanges(entry) || '—'
+  ].forEach(text => {
+    row.insertCell().textContent = text;
+  });
+
+  return row;
+}
+
+// Exports everything matching the filters, not just the pages loaded so far
+async function exportActivityCsv() {
+  if (!requirePermission('audit.view') || !requireFeature('ACTIVITY_LOG')) return;
+  const exportBtn = document.getElementById('exportActivityBtn');
+  exportBtn.disabled = true;
+
+  try {
+    const filters = readActivityFilters();
+    const entries = [];
+    for (let page = 1; page <= MAX_EXPORT_PAGES; page++) {
+      const result = await auditLog.list(filters, page, { cancelKey: 'auditExport' });
+      entries.push(...result.entries);
+      if (!result.hasMore) break;
+    }
+
+    if (entries.length === 0) {
+      showMessage('No activity to export for these filters', 'warning');
+      return;
+    }
+
+    // The BOM makes Excel read arrows and ₹ as UTF-8
+    const blob = new Blob(['\ufeff', auditLog.toCsv(entries)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `activity-${new Date().toISOString().split('T')[0]}.csv`);
+  } catch (error) {
+    handleApiError(error, 'Failed to export activity');
+  } finally {
+    exportBtn.disabled = false;
+  }
+}
+
+// ---------------------- Account Settings ----------------------
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+let accountProfile = null; // last profile returned by the server
+
+function setupAccountSettings() {
+  document.querySelectorAll('.account-tab').forEach(tab => {
+    tab.addEventListener('click', () => showAccountTab(tab.dataset.tab));
+  });
+  document.getElementById('profileForm').addEventListener('submit', saveProfile);
+  document.getElementById('profileEmail').addEventListener('input', updateContactOtpRows);
+  document.getElementById('profilePhone').addEventListener('input', updateContactOtpRows);
+  document.getElementById('profileEmailOtpBtn').addEventListener('click', () => sendContactOtp('email'));
+  document.getElementById('profilePhoneOtpBtn').addEventListener('click', () => sendContactOtp('phone'));
+}
+
+function showAccountTab(tab) {
+  document.querySelectorAll('.account-tab').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+  });
+  document.querySelectorAll('#accountPopup [data-panel]').forEach(panel => {
+    panel.classList.toggle('hidden', panel.dataset.panel !== tab);
+  });
+}
+
+async function openAccountSettings(tab = 'profile') {
+  showAccountTab(tab);
+  openPopup('accountPopup');
+  await loadProfile();
+}
+
+async function loadProfile() {
+  try {
+    const data = await apiClient.get('/sellers/profile', { requireAuth: true });
+    applyProfile(data.seller || data);
+  } catch (error) {
+    // The cached copy keeps the form usable while the server is unreachable
+    if (!accountProfile && sellerInfo) {
+      fillProfileForm(sellerInfo);
+    }
+    handleApiError(error, 'Failed to load your profile');
+  }
+}
+
+// Keep the form, the sellerInfo cache and the header in step with the server
+function applyProfile(profile) {
+  accountProfile = profile;
+  fillProfileForm(profile);
+
+  const previous = sellerInfo;
+  sellerInfo = {
+    id: profile.id || profile._id || sellerInfo?.id,
+    name: profile.name,
+    email: profile.email,
+    phone: profile.phone,
+    vendorName: profile.vendorName,
+    role: profile.role ?? sellerInfo?.role,
+    permissions: profile.permissions ?? sellerInfo?.permissions
+  };
+  authManager.updateSellerInfo(sellerInfo);
+  if (permissionsChanged(previous, sellerInfo)) {
+    reloadForNewRole();
+    return;
+  }
+  displaySellerInfo();
+}
+
+function fillProfileForm(profile) {
+  document.getElementById('profileName').value = profile.name || '';
+  document.getElementById('profileVendorName').value = profile.vendorName || '';
+  document.getElementById('profileEmail').value = profile.email || '';
+  document.getElementById('profilePhone').value = profile.phone || '';
+  document.getElementById('profileEmailOtp').value = '';
+  document.getElementById('profilePhoneOtp').value = '';
+  updateContactOtpRows();
+}
+
+// A new email or phone must be verified with a code sent to it
+function updateContactOtpRows() {
+  const original = accountProfile || sellerInfo || {};
+  const email = document.getElementById('profileEmail').value.trim();
+  const phone = document.getElementById('profilePhone').value.trim();
+
+  document.getElementById('profileEmailOtpRow').classList.toggle('hidden', email === (original.email || ''));
+  document.getElementById('profilePhoneOtpRow').classList.toggle('hidden', phone === (original.phone || ''));
+}
+
+async function sendContactOtp(channel) {
+  const value = document.getElementById(channel === 'email' ? 'profileEmail' : 'profilePhone').value.trim();
+  const button = document.getElementById(channel === 'email' ? 'profileEmailOtpBtn' : 'profilePhoneOtpBtn');
+
+  if (channel === 'email' && !EMAIL_PATTERN.test(value)) {
+    showMessage('Please enter a valid email address', 'error');
+    return;
+  }
+  if (channel === 'phone' && !PHONE_PATTERN.test(value)) {
+    showMessage('Please enter a valid 10-digit phone number', 'error');
+    return;
+  }
+
+  button.disabled = true;
+
+  try {
+    await apiClient.post('/sellers/profile/send-otp', { channel, value }, { requireAuth: true });
+    showMessage(`Verification code sent to ${value}`, 'success');
+    startResendCountdown(button, window.SELLER_LIMITS?.OTP_RESEND_COOLDOWN || 30 * 1000);
+  } catch (error) {
+    button.disabled = false;
+    handleApiError(error, 'Failed to send verification code');
+  }
+}
+
+function startResendCountdown(button, duration) {
+  const endsAt = Date.now() + duration;
+  const tick = () => {
+    const remaining = endsAt - Date.now();
+    if (remaining <= 0) {
+      button.disabled = false;
+      button.textContent = 'Resend Code';
+      return;
+    }
+    button.textContent = `Resend in ${Math.ceil(remaining / 1000)}s`;
+    setTimeout(tick, 1000);
+  };
+
+  button.disabled = true;
+  tick();
+}
+
+async function saveProfile(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const name = document.getElementById('profileName').value.trim();
+  const vendorName = document.getElementById('profileVendorName').value.trim();
+  const email = document.getElementById('profileEmail').value.trim();
+  const phone = document.getElementById('profilePhone').value.trim();
+  const original = accountProfile || sellerInfo || {};
+
+  if (name.length < 2) {
+    showMessage('Name must be at least 2 characters long', 'error');
+    return;
+  }
+  if (vendorName.length < 3) {
+    showMessage('Vendor name must be at least 3 characters long', 'error');
+    return;
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    showMessage('Please enter a valid email address', 'error');
+    return;
+  }
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    showMessage('Please enter a valid 10-digit phone number', 'error');
+    return;
+  }
+
+  const payload = { name, vendorName, email, phone };
+
+  if (email !== (original.email || '')) {
+    payload.emailOtp = document.getElementById('profileEmailOtp').value.trim();
+    if (!/^\d{6}$/.test(payload.emailOtp)) {
+      showMessage('Enter the 6-digit code sent to your new email address', 'error');
+      return;
+    }
+  }
+
+  if (phone !== (original.phone || '')) {
+    payload.phoneOtp = document.getElementById('profilePhoneOtp').value.trim();
+    if (!/^\d{6}$/.test(payload.phoneOtp)) {
+      showMessage('Enter the 6-digit code sent to your new phone number', 'error');
+      return;
+    }
+  }
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    const data = await apiClient.put('/sellers/profile', payload, { requireAuth: true });
+    applyProfile(data?.seller || { ...original, name, vendorName, email, phone });
+    showMessage('Profile updated successfully', 'success');
+  } catch (error) {
+    handleApiError(error, 'Failed to update profile');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+// ---------------------- Change Password ----------------------
+function setupChangePassword() {
+  passwordPolicy.attachMeter(
+    document.getElementById('newPassword'),
+    document.getElementById('newPasswordMeter'),
+    () => ({ email: sellerInfo?.email, name: sellerInfo?.name, vendorName: sellerInfo?.vendorName })
+  );
+  document.getElementById('changePasswordForm').addEventListener('submit', changePassword);
+}
+
+async function changePassword(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const currentPassword = document.getElementById('currentPassword').value;
+  const newPassword = document.getElementById('newPassword').value.trim();
+  const confirmPassword = document.getElementById('confirmNewPassword').value.trim();
+
+  if (!currentPassword || !newPassword) {
+    showMessage('Please enter your current and new password', 'error');
+    return;
+  }
+
+  const passwordCheck = passwordPolicy.evaluate(newPassword, {
+    email: sellerInfo?.email,
+    name: sellerInfo?.name,
+    vendorName: sellerInfo?.vendorName
+  });
+  if (!passwordCheck.valid) {
+    showMessage(passwordCheck.errors[0], 'error');
+    return;
+  }
+
+  if (newPassword === currentPassword) {
+    showMessage('New password must be different from the current one', 'error');
+    return;
+  }
+
+  if (newPassword !== confirmPassword) {
+    showMessage('Passwords do not match', 'error');
+    return;
+  }
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    await apiClient.post('/sellers/change-password', { currentPassword, newPassword }, { requireAuth: true });
+    showMessage('Password updated successfully', 'success');
+    form.reset();
+    document.getElementById('newPassword').dispatchEvent(new Event('input'));
+    closePopup('accountPopup');
+  } catch (error) {
+    handleApiError(error, 'Failed to update password');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', function() {
   console.log('Dashboard initializing...');
@@ -285,24 +1292,75 @@ document.addEventListener('DOMContentLoaded', function() {
     return;
   }
   
+  authManager.onSessionChange(handleSessionChange);
+  permissions.watch();
+  setupIdleLock();
+  document.getElementById('addPasskeyBtn').addEventListener('click', addPasskey);
+  offerPasskeySetup();
+  setupTotpControls();
+  setupChangePassword();
+  setupAccountSettings();
+  document.getElementById('revokeOtherSessionsBtn').addEventListener('click', revokeOtherSessions);
+  setupStaffManagement();
+  setupActivityLog();
+  sellerConfig.ready.then(applyFeatureFlags);
+  authManager.startSessionCheck();
+  
   // Initialize components
   initializeDashboard();
   
   // Setup logout button
   const logoutBtn = document.getElementById('logoutBtn');
   if (logoutBtn) {
-    logoutBtn.addEventListener('click', logout);
+    logoutBtn.addEventListener('click', () => logout());
   }
+
+  document.getElementById('refreshDashboardBtn').addEventListener('click', refreshDashboard);
+
+  // Back online: replace whatever came from the offline store
+  offlineManager.reconnectHandler = refreshDashboard;
+  offlineManager.start();
+  setupOfflineChanges();
+  setupOrderFilters();
+  setupOrderViewButtons();
+  setupBulkActions();
 });
 
+// Drop every cached read and load the dashboard again from the server
+async function refreshDashboard() {
+  const button = document.getElementById('refreshDashboardBtn');
+  button.disabled = true;
+  requestCache.clear();
+
+  try {
+    const reloads = [loadCategories(), fetchDashboardStats(), loadCategoriesForProductForm()];
+    if (document.getElementById('ordersPopup').style.display === 'block') {
+      reloads.push(loadOrders());
+    }
+    // Each loader catches its own errors and resolves false when it failed
+    const results = await Promise.all(reloads);
+    if (results.every(Boolean)) {
+      showMessage('Dashboard refreshed', 'success');
+    } else {
+      showMessage('Some dashboard data could not be refreshed. Please check your connection and try again.', 'error');
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // Initialize dashboard components
 function initializeDashboard() {
   loadCategories();
   fetchDashboardStats();
   loadCategoriesForProductForm();
   
-  // Initialize order notifications automatically
-  initializeOrderNotifications();
+  // Order notifications can be switched off per seller - wait for the flags
+  sellerConfig.ready.then(() => {
+    if (isFeatureEnabled('ORDER_NOTIFICATIONS')) {
+      initializeOrderNotifications();
+    }
+  });
   
   // Display seller info if available
   if (sellerInfo) {
@@ -316,7 +1374,10 @@ function displaySellerInfo() {
   const vendorNameElement = document.getElementById('vendorName');
   
   if (sellerNameElement && sellerInfo.name) {
-    sellerNameElement.textContent = `Welcome, ${sellerInfo.name}`;
+    const role = permissions.getRole();
+    sellerNameElement.textContent = role === 'owner'
+      ? `Welcome, ${sellerInfo.name}`
+      : `Welcome, ${sellerInfo.name} (${permissions.getRoleLabel(role)})`;
   }
   
   if (vendorNameElement && sellerInfo.vendorName) {
@@ -326,10 +1387,8 @@ function displaySellerInfo() {
 
 // ✅ Add New Category - Production Ready
 async function addNewCategory() {
-    if (!authToken) {
-        showMessage('Please login to add categories', 'error');
-        return;
-    }
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.edit')) return;
 
     const name = document.getElementById("newCategoryName").value.trim();
     const description = document.getElementById("newCategoryDescription").value.trim();
@@ -378,41 +1437,39 @@ async function addNewCategory() {
     formData.append("image", imageFile);
 
     try {
-        const response = await fetch(`${getAPIURL()}/categories`, {
-            method: "POST",
-            headers: getMultipartAuthHeaders(),
-            body: formData,
+        await apiClient.post('/categories', formData, {
+            requireAuth: true,
+            audit: {
+                action: 'category.create',
+                entity: 'category',
+                summary: `Added category "${name}"`,
+                after: { name, description, slug, featured }
+            }
         });
 
-        const data = await response.json();
-
-        if (response.ok) {
-            showMessage("Category added successfully!", 'success');
-            closePopup("addCategoryPopup");
-            
-            // Clear form
-            document.getElementById("newCategoryName").value = '';
-            document.getElementById("newCategoryDescription").value = '';
-            document.getElementById("newCategorySlug").value = '';
-            document.getElementById("newCategoryFeatured").checked = false;
-            document.getElementById("newCategoryImage").value = '';
-            
-            loadCategories();
-        } else {
-            if (response.status === 401) {
-                showMessage('Session expired. Please login again.', 'error');
-                logout();
-            } else {
-                showMessage(data.message || "Error adding category.", 'error');
-            }
-        }
+        showMessage("Category added successfully!", 'success');
+        closePopup("addCategoryPopup");
+        
+        // Clear form
+        document.getElementById("newCategoryName").value = '';
+        document.getElementById("newCategoryDescription").value = '';
+        document.getElementById("newCategorySlug").value = '';
+        document.getElementById("newCategoryFeatured").checked = false;
+        document.getElementById("newCategoryImage").value = '';
+        
+        requestCache.invalidate('/categories');
+        loadCategories();
+        loadCategoriesForProductForm();
     } catch (error) {
-        handleApiError(error, "Network error occurred while adding category.");
+        handleApiError(error, "Error adding category.");
     }
 }
 
 // ✏️ Edit/Update Category
 async function updateCategory(id) {
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.edit')) return;
+
     const name = document.getElementById(`editCategoryName_${id}`).value.trim();
     const description = document.getElementById(`editCategoryDescription_${id}`).value.trim();
     const slug = document.getElementById(`editCategorySlug_${id}`).value.trim();
@@ -445,118 +1502,160 @@ async function updateCategory(id) {
     }
 
     try {
-        const response = await fetch(`${getAPIURL()}/categories/${id}`, {
-            method: "PUT",
-            headers: getMultipartAuthHeaders(),
-            body: formData,
-        });
-
-        if (response.ok) {
-            showMessage("Category updated successfully!", 'success');
-            loadCategories();
-        } else {
-            const data = await response.json();
-            if (response.status === 401) {
-                showMessage('Session expired. Please login again.', 'error');
-                logout();
-            } else {
-                showMessage(data.message || "Error updating category.", 'error');
+        await apiClient.put(`/categories/${id}`, formData, {
+            requireAuth: true,
+            audit: {
+                action: 'category.update',
+                entity: 'category',
+                entityId: id,
+                summary: `Updated category "${name}"`,
+                before: pickFields(loadedCategories.find(category => category._id === id), CATEGORY_AUDIT_FIELDS),
+                after: { name, description, slug, featured, ...(imageFile ? { image: imageFile.name } : {}) }
             }
-        }
+        });
+        categoryDrafts.delete(id);
+        showMessage("Category updated successfully!", 'success');
+        requestCache.invalidate('/categories');
+        loadCategories();
+        loadCategoriesForProductForm();
     } catch (error) {
-        handleApiError(error, "Network error occurred while updating category.");
+        handleApiError(error, "Error updating category.");
     }
 }
 
 // ❌ Delete Category
 async function deleteCategory(id) {
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.delete')) return;
+
     if (!confirm("Are you sure you want to delete this category?")) {
         return;
     }
 
     try {
-        const response = await fetch(`${getAPIURL()}/categories/${id}`, {
-            method: "DELETE",
-            headers: getAuthHeaders()
-        });
-
-        if (response.ok) {
-            showMessage("Category deleted successfully!", 'success');
-            loadCategories();
-        } else {
-            const data = await response.json();
-            if (response.status === 401) {
-                showMessage('Session expired. Please login again.', 'error');
-                logout();
-            } else {
-                showMessage(data.message || "Error deleting category.", 'error');
+        const category = loadedCategories.find(item => item._id === id);
+        await apiClient.delete(`/categories/${id}`, {
+            requireAuth: true,
+            audit: {
+                action: 'category.delete',
+                entity: 'category',
+                entityId: id,
+                summary: `Deleted category "${category?.name || id}"`,
+                before: pickFields(category, CATEGORY_AUDIT_FIELDS)
             }
-        }
+        });
+        showMessage("Category deleted successfully!", 'success');
+        requestCache.invalidate('/categories', '/products', '/dashboard/stats');
+        loadCategories();
+        loadCategoriesForProductForm();
+        fetchDashboardStats();
     } catch (error) {
-        handleApiError(error, "Network error occurred while deleting category.");
+        handleApiError(error, "Error deleting category.");
     }
 }
 
+// Last category list shown, kept so audit entries can record before-values
+let loadedCategories = [];
+const CATEGORY_AUDIT_FIELDS = ['name', 'description', 'slug', 'featured', 'image'];
+
 // 📚 Load Categories in Edit Popup
 async function loadCategories() {
     try {
-        const response = await fetch(`${getAPIURL()}/categories`);
-        if (!response.ok) {
-            throw new Error("Failed to fetch categories");
-        }
-        const categories = await response.json();
+        const categories = await requestCache.get('/categories', {
+            onUpdate: (fresh) => {
+                // Never wipe category edits the seller is typing
+                if (document.getElementById('editCategoriesPopup').style.display !== 'block') {
+                    renderCategories(fresh);
+                }
+            }
+        });
+        renderCategories(categories);
+        return true;
+    } catch (error) {
+        console.error("Error loading categories:", error);
+        return false;
+    }
+}
+
+function renderCategories(categories) {
+    loadedCategories = Array.isArray(categories) ? categories : [];
+
+    // Drafts of categories that no longer exist have nothing to save to
+    const ids = new Set(loadedCategories.map(category => category._id));
+    categoryDrafts.forEach((draft, id) => {
+        if (!ids.has(id)) categoryDrafts.delete(id);
+    });
+
+    getListView("categoryList", { renderItem: renderCategoryNavItem, estimatedHeight: 42 })
+        .setItems(loadedCategories);
+    getListView("editCategoryList", { renderItem: renderCategoryEditor, estimatedHeight: 420 })
+        .setItems(loadedCategories);
+}
+
+// Unsaved edits by category id. Edit rows scrolled out of view are unmounted,
+// so what the seller typed is kept here and put back when the row returns.
+const categoryDrafts = new Map();
+
+function saveCategoryDraft(id) {
+    categoryDrafts.set(id, {
+        name: document.getElementById(`editCategoryName_${id}`).value,
+        description: document.getElementById(`editCategoryDescription_${id}`).value,
+        slug: document.getElementById(`editCategorySlug_${id}`).value,
+        featured: document.getElementById(`editCategoryFeatured_${id}`).checked,
+        imageFile: document.getElementById(`editCategoryImage_${id}`).files[0] || null
+    });
+}
+
+function renderCategoryEditor(category) {
+    const id = category._id;
+    const draft = categoryDrafts.get(id) || {};
+    const item = document.createElement("div");
+    item.className = "category-item";
+    item.id = `category_${id}`;
+
+    item.innerHTML = `
+        <label>Name:</label>
+        <input type="text" id="editCategoryName_${id}" value="${escapeHTML(draft.name ?? category.name)}" />
+
+        <label>Description:</label>
+        <textarea id="editCategoryDescription_${id}">${escapeHTML(draft.description ?? category.description ?? '')}</textarea>
 
-        const categoryList = document.getElementById("categoryList");
-        const editCategoryList = document.getElementById("editCategoryList");
+        <label>Upload Image:</label>
+        <input type="file" id="editCategoryImage_${id}" />
 
-        // Clear both the category list and edit category list before adding new content
-        categoryList.innerHTML = '';
-        editCategoryList.innerHTML = '';
+        <!-- Display the current image if it exists -->
+        ${category.image ? `<img src="${category.image}" alt="Current Image" class="category-image-preview" />` : ''}
 
-        // Add "Edit/Add Category" link at the top of the category list
-        categoryList.innerHTML = `
-            <li onclick="openPopup('editCategoriesPopup')">📝 Edit/Add Category</li>
-        `;
+        <label>Slug:</label>
+        <input type="text" id="editCategorySlug_${id}" value="${escapeHTML(draft.slug ?? category.slug)}" />
 
-        categories.forEach(category => {
-            // Add each category to the main category list
-            categoryList.innerHTML += `
-                <li onclick="openCategoryPopup('${category._id}')">
-                    📚 ${category.name}
-                </li>
-            `;
-
-            // Now, populate the edit category section (editCategoryList)
-            editCategoryList.innerHTML += `
-                <div class="category-item" id="category_${category._id}">
-                    <label>Name:</label>
-                    <input type="text" id="editCategoryName_${category._id}" value="${category.name}" />
-
-                    <label>Description:</label>
-                    <textarea id="editCategoryDescription_${category._id}">${category.description || ''}</textarea>
-
-                    <label>Upload Image:</label>
-                    <input type="file" id="editCategoryImage_${category._id}" />
-
-                    <!-- Display the current image if it exists -->
-                    ${category.image ? `<img src="${category.image}" alt="Current Image" class="category-image-preview" />` : ''}
-
-                    <label>Slug:</label>
-                    <input type="text" id="editCategorySlug_${category._id}" value="${category.slug}" />
-
-                    <label>
-                        <input type="checkbox" id="editCategoryFeatured_${category._id}" ${category.featured ? 'checked' : ''} />
-                        Featured
-                    </label>
-
-                    <button onclick="updateCategory('${category._id}')">✏️ Update</button>
-                    <button onclick="deleteCategory('${category._id}')">❌ Delete</button>
-                </div>
-            `;
-        });
-    } catch (error) {
-        console.error("Error loading categories:", error);
+        <label>
+            <input type="checkbox" id="editCategoryFeatured_${id}" ${(draft.featured ?? category.featured) ? 'checked' : ''} />
+            Featured
+        </label>
+
+        <button onclick="updateCategory('${id}')">✏️ Update</button>
+        <button data-permission="catalog.delete" onclick="deleteCategory('${id}')">❌ Delete</button>
+    `;
+
+    // A chosen image cannot be set through the markup; DataTransfer can put it back
+    if (draft.imageFile && window.DataTransfer) {
+        const transfer = new DataTransfer();
+        transfer.items.add(draft.imageFile);
+        item.querySelector(`#editCategoryImage_${id}`).files = transfer.files;
     }
+
+    item.addEventListener("input", () => saveCategoryDraft(id));
+    item.addEventListener("change", () => saveCategoryDraft(id));
+    return item;
+}
+
+function renderCategoryNavItem(category) {
+    const item = document.createElement("div");
+    item.className = "category-nav-item";
+    item.textContent = `📚 ${category.name}`;
+    item.addEventListener("click", () => openCategoryPopup(category._id));
+    return item;
 }
 
 // 📂 Open Popup and Load Data
@@ -572,6 +1671,41 @@ function openAddProductForm() {
     const popup = document.getElementById('addProductPopup');
     popup.style.display = 'block';
 }
+// 🔧 Custom Quill image handler - uploads as the logged-in seller
+function uploadEditorImage() {
+  if (!requireSession()) return;
+  if (!requirePermission('catalog.edit')) return;
+
+  const quill = this.quill;
+  const fileInput = document.createElement("input");
+  fileInput.setAttribute("type", "file");
+  fileInput.setAttribute("accept", "image/*");
+  fileInput.click();
+
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    try {
+      const resizedBlob = await resizeImageBeforeUpload(file, 400, 400); // ⏬ Resize before upload
+      const formData = new FormData();
+      formData.append("image", resizedBlob, file.name);
+
+      // 🔁 Upload to backend
+      const data = await apiClient.post('/dashboard/image-upload', formData, { requireAuth: true });
+      if (!data || !data.url) {
+        throw new Error("Upload failed");
+      }
+
+      const range = quill.getSelection(true);
+      quill.insertEmbed(range.index, "image", data.url);
+    } catch (error) {
+      console.error("❌ Image upload failed:", error);
+      handleApiError(error, "Image upload failed. Only image links (not base64) are supported.");
+    }
+  };
+}
+
 const quillAdd = new Quill("#newProductDescription", {
   theme: "snow",
   modules: {
@@ -588,41 +1722,7 @@ const quillAdd = new Quill("#newProductDescription", {
         ['link', 'image', 'video']
       ],
       handlers: {
-        // 🔧 Custom image handler
-        image: function () {
-          const fileInput = document.createElement("input");
-          fileInput.setAttribute("type", "file");
-          fileInput.setAttribute("accept", "image/*");
-          fileInput.click();
-
-          fileInput.onchange = async () => {
-            const file = fileInput.files[0];
-            if (!file) return;
-
-            try {
-              const resizedBlob = await resizeImageBeforeUpload(file, 400, 400); // ⏬ Resize before upload
-              const formData = new FormData();
-              formData.append("image", resizedBlob, file.name);
-
-              // 🔁 Upload to backend
-              const res = await fetch(`${getAPIURL()}/dashboard/image-upload`, {
-                method: "POST",
-                body: formData
-              });
-
-              const data = await res.json();
-              if (res.ok && data.url) {
-                const range = this.quill.getSelection();
-                this.quill.insertEmbed(range.index, "image", data.url);
-              } else {
-                throw new Error("Upload failed");
-              }
-            } catch (error) {
-              console.error("❌ Image upload failed:", error);
-              alert("Only image links (not base64) are supported.");
-            }
-          };
-        }
+        image: uploadEditorImage
       }
     }
   }
@@ -643,40 +1743,7 @@ const quillEdit = new Quill("#editProductDescription", {
         ['link', 'image', 'video']
       ],
       handlers: {
-        // Custom image handler for edit form
-        image: function () {
-          const fileInput = document.createElement("input");
-          fileInput.setAttribute("type", "file");
-          fileInput.setAttribute("accept", "image/*");
-          fileInput.click();
-
-          fileInput.onchange = async () => {
-            const file = fileInput.files[0];
-            if (!file) return;
-
-            try {
-              const resizedBlob = await resizeImageBeforeUpload(file, 400, 400);
-              const formData = new FormData();
-              formData.append("image", resizedBlob, file.name);
-
-              const res = await fetch(`${getAPIURL()}/dashboard/image-upload`, {
-                method: "POST",
-                body: formData
-              });
-
-              const data = await res.json();
-              if (res.ok && data.url) {
-                const range = this.quill.getSelection();
-                this.quill.insertEmbed(range.index, "image", data.url);
-              } else {
-                throw new Error("Upload failed");
-              }
-            } catch (error) {
-              console.error("❌ Image upload failed:", error);
-              alert("Only image links (not base64) are supported.");
-            }
-          };
-        }
+        image: uploadEditorImage
       }
     }
   }
@@ -706,48 +1773,23 @@ function resizeImageBeforeUpload(file, maxW, maxH) {
 }
 
 
-// Function to open the category popup
-function openCategoryPopup(categoryId) {
-    const popup = document.getElementById('categoryPopup');
-    const productList = document.getElementById('productList');
-
-    fetch(`${getAPIURL()}/products/category/${categoryId}`)
-        .then(response => response.json())
-        .then(products => {
-            productList.innerHTML = '';
-
-            products.forEach(product => {
-                const productItem = document.createElement('div');
-                productItem.classList.add('product-item');
-                productItem.innerHTML = `
-                    <h4>${product.name}</h4>
-                    ${product.outOfStock ? '<p style="color: red;"><strong>Out of Stock</strong></p>' : ''}
-                    <p>Price: ₹${product.price}</p>
-                    <img src="${product.image}" alt="${product.name}" style="max-width:100px;" />
-                    <p>${product.description}</p>
-                    <button onclick="editProduct('${product._id}')">✏️ Edit</button>
-                    <button onclick="deleteProduct('${product._id}')">❌ Delete</button>
-                `;
-                productList.appendChild(productItem);
-            });
-        })
-        .catch(error => console.error('Error fetching products:', error));
-
-    popup.style.display = 'block';
-}
-
 function closePopup(popupId = "orderDetailsPopup") {
     const popup = document.getElementById(popupId);
     if (popup) popup.style.display = "none";
     else console.warn("closePopup failed: popup not found", popupId);
+    if (popupId === 'ordersPopup') syncOrdersURL(null);
 }
 
+// Product open in the edit form and the last product list shown, kept so
+// audit entries can record before-values
+let editingProduct = null;
+let loadedProducts = [];
+const PRODUCT_AUDIT_FIELDS = ['name', 'price', 'mrp', 'sale', 'categoryId', 'featured', 'outOfStock'];
+
 async function editProduct(productId) {
     try {
-        const response = await fetch(`${getAPIURL()}/products/${productId}`);
-        if (!response.ok) throw new Error(`Failed to fetch product details: ${response.statusText}`);
-
-        const product = await response.json();
+        const product = await apiClient.get(`/products/${productId}`);
+        editingProduct = product;
 
         document.getElementById("editProductId").value = product._id;
         document.getElementById("editProductName").value = product.name;
@@ -765,21 +1807,42 @@ async function editProduct(productId) {
     }
 }
 
-async function deleteProduct(productId) {
+async function deleteProduct(productId, categoryId) {
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.delete')) return;
+
+    if (!confirm("Are you sure you want to delete this product?")) {
+        return;
+    }
+
     try {
-        const response = await fetch(`${getAPIURL()}/products/${productId}`, { method: "DELETE" });
-        if (response.ok) {
-            const data = await response.json();
-            console.log("✅ Product deleted:", data.message);
+        const product = loadedProducts.find(item => item._id === productId);
+        await apiClient.delete(`/products/${productId}`, {
+            requireAuth: true,
+            audit: {
+                action: 'product.delete',
+                entity: 'product',
+                entityId: productId,
+                summary: `Deleted product "${product?.name || productId}"`,
+                before: pickFields(product, PRODUCT_AUDIT_FIELDS)
+            }
+        });
+        requestCache.invalidate('/products', '/dashboard/stats');
+        showMessage("Product deleted successfully!", 'success');
+        if (categoryId) {
+            openCategoryPopup(categoryId);
         } else {
-            console.error("❌ Error:", response.statusText);
+            loadProducts();
         }
     } catch (error) {
-        console.error("❌ Network Error:", error);
+        handleApiError(error, "Error deleting product.");
     }
 }
 
 async function updateProduct() {
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.edit')) return;
+
     const productId = document.getElementById("editProductId").value;
     const productName = document.getElementById("editProductName").value;
     const productPrice = document.getElementById("editProductPrice").value;
@@ -792,7 +1855,7 @@ async function updateProduct() {
     const productOutOfStock = document.getElementById("editProductOutOfStock").checked;
 
     if (!productId || !productName || !productPrice || !productMrp || !productCategory) {
-        alert("Please fill in all required fields.");
+        showMessage("Please fill in all required fields.", 'error');
         return;
     }
 
@@ -808,24 +1871,41 @@ async function updateProduct() {
     if (productImage) formData.append("image", productImage);
 
     try {
-        const response = await fetch(`${getAPIURL()}/products/${productId}`, {
-            method: "PUT",
-            body: formData,
+        const before = editingProduct?._id === productId ? editingProduct : null;
+        await apiClient.put(`/products/${productId}`, formData, {
+            requireAuth: true,
+            audit: {
+                action: 'product.update',
+                entity: 'product',
+                entityId: productId,
+                summary: `Updated product "${productName}"`,
+                before: pickFields(before, PRODUCT_AUDIT_FIELDS),
+                after: {
+                    name: productName,
+                    price: productPrice,
+                    mrp: productMrp,
+                    sale: productSale,
+                    categoryId: productCategory,
+                    featured: productFeatured,
+                    outOfStock: productOutOfStock,
+                    ...(before && before.description !== productDescription ? { description: 'edited' } : {}),
+                    ...(productImage ? { image: productImage.name } : {})
+                }
+            }
         });
-
-        if (response.ok) {
-            alert("✅ Product updated successfully!");
-            closePopup("editProductPopup");
-            openCategoryPopup(productCategory);
-        } else {
-            alert("❌ Error updating product.");
-        }
+        requestCache.invalidate('/products', '/dashboard/stats');
+        showMessage("Product updated successfully!", 'success');
+        closePopup("editProductPopup");
+        openCategoryPopup(productCategory);
     } catch (error) {
-        console.error("❌ Error updating product:", error);
+        handleApiError(error, "Error updating product.");
     }
 }
 
-function addNewProduct() {
+async function addNewProduct() {
+    if (!requireSession()) return;
+    if (!requirePermission('catalog.edit')) return;
+
     const productName = document.getElementById("newProductName").value;
     const productPrice = document.getElementById("newProductPrice").value;
     const productMrp = document.getElementById("newProductMrp").value;
@@ -837,7 +1917,7 @@ function addNewProduct() {
     const productOutOfStock = document.getElementById("newProductOutOfStock").checked;
 
     if (!productName || !productPrice || !productMrp || !productCategory) {
-        alert("Please fill in all required fields.");
+        showMessage("Please fill in all required fields.", 'error');
         return;
     }
 
@@ -852,32 +1932,40 @@ function addNewProduct() {
     formData.append("featured", productFeatured);
     formData.append("outOfStock", productOutOfStock);
 
-    fetch(`${getAPIURL()}/products`, {
-        method: "POST",
-        body: formData,
-    })
-        .then((response) => response.json())
-        .then((data) => {
-            if (data.success) {
-                alert("✅ Product added successfully!");
-                closePopup("addProductPopup");
-                loadProducts();
-            } else {
-                alert("❌ Failed to add product.");
+    try {
+        const data = await apiClient.post('/products', formData, {
+            requireAuth: true,
+            audit: {
+                action: 'product.create',
+                entity: 'product',
+                summary: `Added product "${productName}"`,
+                after: {
+                    name: productName,
+                    price: productPrice,
+                    mrp: productMrp,
+                    sale: productSale,
+                    categoryId: productCategory,
+                    featured: productFeatured,
+                    outOfStock: productOutOfStock
+                }
             }
-        })
-        .catch((error) => {
-            console.error("❌ Error adding product:", error);
-            alert("An error occurred.");
         });
+        if (data && data.success) {
+            requestCache.invalidate('/products', '/dashboard/stats');
+            showMessage("Product added successfully!", 'success');
+            closePopup("addProductPopup");
+            loadProducts();
+        } else {
+            showMessage(data?.message || "Failed to add product.", 'error');
+        }
+    } catch (error) {
+        handleApiError(error, "Error adding product.");
+    }
 }
 
 async function loadCategoriesForProductForm(editMode = false, selectedCategoryId = null) {
     try {
-        const response = await fetch(`${getAPIURL()}/categories`);
-        if (!response.ok) throw new Error("Failed to fetch categories");
-
-        const categories = await response.json();
+        const categories = await requestCache.get('/categories');
         const categoryDropdown = editMode
             ? document.getElementById("editProductCategory")
             : document.getElementById("newProductCategory");
@@ -898,41 +1986,57 @@ async function loadCategoriesForProductForm(editMode = false, selectedCategoryId
             if (editMode && category._id === selectedCategoryId) option.selected = true;
             categoryDropdown.appendChild(option);
         });
+        return true;
     } catch (error) {
         console.error("❌ Error loading categories:", error);
+        return false;
     }
 }
 
+// Virtual list views, created on first use (see assets/utils/virtual-list.js)
+const listViews = {};
+
+// Same columns as the .product-list grid in dashboard_new.css
+const PRODUCT_GRID = { minItemWidth: 280, gap: 24 };
+
+// Reuse the view for a container unless its contents were replaced wholesale
+function getListView(containerId, options) {
+    const view = listViews[containerId];
+    if (view && view.isAttached()) return view;
+    listViews[containerId] = new VirtualList(document.getElementById(containerId), options);
+    return listViews[containerId];
+}
+
+function renderProductItem(product) {
+    const productItem = document.createElement("div");
+    productItem.classList.add("product-item");
+
+    productItem.innerHTML = `
+        <h4>${product.name}</h4>
+        ${product.outOfStock ? '<p style="color: red;"><strong>Out of Stock</strong></p>' : ''}
+        <p>
+            ${product.sale ? `<span style="text-decoration: line-through; color: gray;">₹${product.mrp}</span>` : ""}
+            <span style="color: ${product.sale ? "red" : "black"};">₹${product.price}</span>
+        </p>
+        <img src="${product.image}" alt="${product.name}" style="max-width:100px;" />
+        <p>${product.description}</p>
+        <button data-permission="catalog.edit" onclick="editProduct('${product._id}')">✏️ Edit</button>
+        <button data-permission="catalog.delete" onclick="deleteProduct('${product._id}', '${product.categoryId}')">❌ Delete</button>
+    `;
+    return productItem;
+}
+
 function loadProducts() {
-    fetch(`${getAPIURL()}/products`)
-        .then((response) => response.json())
+    if (!document.getElementById("productListContainer")) {
+        console.error("No 'productListContainer' element found in your HTML.");
+        return;
+    }
+
+    requestCache.get('/products')
         .then((products) => {
-            const productListContainer = document.getElementById("productListContainer");
-
-            if (productListContainer) {
-                productListContainer.innerHTML = "";
-
-                products.forEach((product) => {
-                    const productItem = document.createElement("div");
-                    productItem.classList.add("product-item");
-
-                    productItem.innerHTML = `
-                        <h4>${product.name}</h4>
-                        ${product.outOfStock ? '<p style="color: red;"><strong>Out of Stock</strong></p>' : ''}
-                        <p>
-                            ${product.sale ? `<span style="text-decoration: line-through; color: gray;">₹${product.mrp}</span>` : ""}
-                            <span style="color: ${product.sale ? "red" : "black"};">₹${product.price}</span>
-                        </p>
-                        <img src="${product.image}" alt="${product.name}" style="max-width:100px;" />
-                        <p>${product.description}</p>
-                        <button onclick="editProduct('${product._id}')">✏️ Edit</button>
-                        <button onclick="deleteProduct('${product._id}', '${product.categoryId}')">❌ Delete</button>
-                    `;
-                    productListContainer.appendChild(productItem);
-                });
-            } else {
-                console.error("No 'productListContainer' element found in your HTML.");
-            }
+            loadedProducts = Array.isArray(products) ? products : [];
+            getListView("productListContainer", { renderItem: renderProductItem, estimatedHeight: 320 })
+                .setItems(loadedProducts);
         })
         .catch((error) => console.error("❌ Error loading products:", error));
 }
@@ -940,54 +2044,56 @@ function loadProducts() {
 
 async function openCategoryPopup(categoryId) {
     const popup = document.getElementById("categoryPopup");
-    const productList = document.getElementById("productList");
 
     try {
-        const response = await fetch(`${getAPIURL()}/products/category/${categoryId}`);
-
-        // Handle 404 response gracefully
-        if (response.status === 404) {
-            console.warn("⚠️ No products found, showing fallback message.");
-            productList.innerHTML = "<p>No products available in this category.</p>";
-            popup.style.display = "block";
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
+        let products;
+        try {
+            products = await apiClient.get(`/products/category/${categoryId}`, { cancelKey: 'categoryProducts' });
+        } catch (error) {
+            // Handle 404 response gracefully
+            if (!error.isNotFound) throw error;
+            products = [];
         }
 
-        const products = await response.json();
+        loadedProducts = Array.isArray(products) ? products : [];
 
-        productList.innerHTML = ''; // Clear previous products
+        // Another category is a new list - start it at the top
+        const productListView = getListView("productList", {
+            renderItem: renderCategoryProduct,
+            estimatedHeight: 360,
+            ...PRODUCT_GRID
+        });
+        const sameCategory = popup.dataset.categoryId === categoryId;
+        popup.dataset.categoryId = categoryId;
 
-        if (!Array.isArray(products) || products.length === 0) {
+        if (loadedProducts.length === 0) {
             console.warn(`⚠️ No products found for category: ${categoryId}`);
-            productList.innerHTML = "<p>No products available in this category.</p>";
+            productListView.setMessage("No products available in this category.");
             popup.style.display = "block"; 
             return;
         }
 
-        products.forEach(product => {
-            const productItem = document.createElement("div");
-            productItem.classList.add("product-item");
-            productItem.innerHTML = `
-                <h4>${product.name}</h4>
-                <p>Price: ₹${product.price}</p>
-                <img src="${product.image}" alt="${product.name}" />
-                <p>${product.description}</p>
-                <button onclick="editProduct('${product._id}')">✏️ Edit</button>
-                <button onclick="deleteProduct('${product._id}', '${categoryId}')">❌ Delete</button>
-            `;
-            productList.appendChild(productItem);
-        });
-
+        productListView.setItems(loadedProducts, { resetScroll: !sameCategory });
         popup.style.display = 'block';
     } catch (error) {
         console.error(`❌ Error fetching products for category ${categoryId}:`, error);
     }
 }
 
+function renderCategoryProduct(product) {
+    const productItem = document.createElement("div");
+    productItem.classList.add("product-item");
+    productItem.innerHTML = `
+        <h4>${product.name}</h4>
+        <p>Price: ₹${product.price}</p>
+        <img src="${product.image}" alt="${product.name}" />
+        <p>${product.description}</p>
+        <button data-permission="catalog.edit" onclick="editProduct('${product._id}')">✏️ Edit</button>
+        <button data-permission="catalog.delete" onclick="deleteProduct('${product._id}', '${product.categoryId}')">❌ Delete</button>
+    `;
+    return productItem;
+}
+
 // ✅ Re-initialize product categories for product form
 window.addEventListener("DOMContentLoaded", function () {
     loadCategoriesForProductForm();
@@ -997,28 +2103,27 @@ window.addEventListener("DOMContentLoaded", function () {
 // Fetch and display dashboard stats
 window.addEventListener("DOMContentLoaded", fetchDashboardStats);
 async function fetchDashboardStats() {
-  const token = localStorage.getItem("sellerAuthToken");  // ✅ Get the token
-  if (!token) {
+  if (!authManager.getAuthToken()) {
     window.location.href = "seller.html";
-    return;
+    return false;
   }
   try {
-    const response = await fetch(`${getAPIURL()}/dashboard/stats`, {
-      headers: { Authorization: `Bearer ${token}` }        // ✅ Add header here
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    document.getElementById("totalUsers").textContent = data.totalUsers || 0;
-    document.getElementById("totalProducts").textContent = data.totalProducts || 0;
-    document.getElementById("totalOrders").textContent = data.totalOrders || 0;
-    document.getElementById("totalSales").textContent = `₹${data.totalSales || 0}`;
+    const data = await requestCache.get('/dashboard/stats', { onUpdate: renderDashboardStats });
+    renderDashboardStats(data);
+    return true;
   } catch (error) {
     console.error("Error fetching dashboard stats:", error);
+    return false;
   }
 }
 
+function renderDashboardStats(data) {
+  document.getElementById("totalUsers").textContent = data.totalUsers || 0;
+  document.getElementById("totalProducts").textContent = data.totalProducts || 0;
+  document.getElementById("totalOrders").textContent = data.totalOrders || 0;
+  document.getElementById("totalSales").textContent = `₹${data.totalSales || 0}`;
+}
+
 
 // Global variables for the chart
 let totalOrdersChart;
@@ -1069,25 +2174,11 @@ async function updateTotalOrdersChart() {
     // Show loading state
     chartContainer.style.opacity = "0.5";
 
-    const token = localStorage.getItem("sellerAuthToken");
-    if (!token) {
-        window.location.href = "seller.html";
-        return;
-    }
-
     try {
-        const response = await fetch(`${getAPIURL()}/dashboard/orders?timePeriod=${currentTimePeriod}`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json'
-            }
+        const { labels, data } = await apiClient.get('/dashboard/orders', {
+            query: { timePeriod: currentTimePeriod },
+            cancelKey: 'ordersChart'
         });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const { labels, data } = await response.json();
         renderTotalOrdersChart(labels, data);
     } catch (error) {
         console.error("Error updating Total Orders chart:", error);
@@ -1208,23 +2299,10 @@ async function updateUserGrowthChart() {
     chartContainer.style.opacity = "0.5";
     
     try {
-        const token = localStorage.getItem("sellerAuthToken");
-        if (!token) {
-            throw new Error("Authentication token not found");
-        }
-
-        const response = await fetch(`${getAPIURL()}/dashboard/users-growth?timePeriod=${currentTimePeriod}`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json'
-            }
+        const data = await apiClient.get('/dashboard/users-growth', {
+            query: { timePeriod: currentTimePeriod },
+            cancelKey: 'userGrowthChart'
         });
-
-        if (!response.ok) {
-            throw new Error(`Server responded with ${response.status}`);
-        }
-
-        const data = await response.json();
         console.log("Received user growth data:", data);
 
         if (!data || !Array.isArray(data.labels) || !Array.isArray(data.data)) {
@@ -1293,8 +2371,7 @@ function changeTimePeriod(period) {
 // Populate cities dynamically
 async function populateCities() {
     try {
-        const response = await fetch(`${getAPIURL()}/dashboard/cities`);
-        const cities = await response.json();
+        const cities = await apiClient.get('/dashboard/cities');
 
         const citySelector = document.getElementById("citySelector");
         citySelector.innerHTML = '<option value="all">All Cities</option>';
@@ -1313,8 +2390,7 @@ async function populateCities() {
 // Update User Distribution chart
 async function updateUserDistributionChart() {
     try {
-        const response = await fetch(`${getAPIURL()}/dashboard/users-by-state`);
-        const data = await response.json();
+        const data = await apiClient.get('/dashboard/users-by-state');
 
         if (!data.states || !data.counts) {
             throw new Error("Invalid data received for User Distribution chart.");
@@ -1515,36 +2591,10 @@ async function updateTotalProductsChart() {
     // Show loading state
     chartContainer.style.opacity = "0.5";
 
-    const token = localStorage.getItem("sellerAuthToken");
-    if (!token) {
-        window.location.href = "seller.html";
-        return;
-    }
-
     try {
-        // First get the products list
-        const productsResponse = await fetch(`${getAPIURL()}/products`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json'
-            }
-        });
-        if (!productsResponse.ok) {
-            throw new Error(`Server responded with ${productsResponse.status}`);
-        }
-        const products = await productsResponse.json();
-
-        // Then get categories
-        const categoryResponse = await fetch(`${getAPIURL()}/categories`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json'
-            }
-        });
-        if (!categoryResponse.ok) {
-            throw new Error(`Failed to fetch categories: ${categoryResponse.status}`);
-        }
-        const categories = await categoryResponse.json();
+        // First get the products list, then categories
+        const products = await requestCache.get('/products');
+        const categories = await requestCache.get('/categories');
 
         const categoryMap = {};
         categories.forEach(category => {
@@ -1568,199 +2618,394 @@ async function updateTotalProductsChart() {
 
 //USERS 
 async function fetchUsers() {
+    if (!requirePermission('users.view')) return;
     console.log("✅ fetchUsers() function was called!");
-    const token = localStorage.getItem("sellerAuthToken");
     try {
-        const response = await fetch(`${getAPIURL()}/dashboard/users`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        if (handleAuthErrors(response)) return;
-        if (response.status === 401) {
-            alert("Unauthorized. Please login again as a seller.");
-            window.location.href = "seller.html";
-            return;
-        }
-        const users = await response.json();
+        const users = await apiClient.get('/dashboard/users');
         console.log("✅ Users received:", users); // Debug log to check response
 
-        const userList = document.getElementById("userList");
-        if (!userList) {
+        if (!document.getElementById("userList")) {
             console.error("❌ userList element is missing in HTML!");
             return;
         }
-        userList.innerHTML = ""; // Clear previous data
+        const userListView = getListView("userList", { renderItem: renderUserCard, estimatedHeight: 210 });
 
         if (!Array.isArray(users) || users.length === 0) {
-            userList.innerHTML = '<p style="color:#dc3545;">No users found or you do not have access.</p>';
+            userListView.setMessage("No users found or you do not have access.");
             return;
         }
 
-        users.forEach(user => {
-            const userDiv = document.createElement("div");
-            userDiv.className = "user-card";
-            const status = user?.status || "Unknown";
-            userDiv.innerHTML = `
-                <p><strong>Name:</strong> ${user.name}</p>
-                <p><strong>Email:</strong> ${user.email}</p>
-                <p><strong>Phone:</strong> ${user.phone}</p>
-                <p><strong>Status:</strong> ${status}</p>
-                <p><strong>Joined:</strong> ${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : "N/A"}</p>
-            `;
-            userList.appendChild(userDiv);
-        });
-
-        console.log("✅ userList after updating:", userList.innerHTML); // Debug log
+        userListView.setItems(users);
         openPopup("viewUsersPopup"); // ✅ Ensure popup is being opened
     } catch (error) {
         console.error("❌ Error fetching users:", error);
-        const userList = document.getElementById("userList");
-        if (userList) {
-            userList.innerHTML = '<p style="color:#dc3545;">Error fetching users. Please try again later.</p>';
+        if (error.isUnauthorized) return;
+        if (document.getElementById("userList")) {
+            getListView("userList", { renderItem: renderUserCard, estimatedHeight: 210 })
+                .setMessage("Error fetching users. Please try again later.");
         }
     }
 }
 
+function renderUserCard(user) {
+    const userDiv = document.createElement("div");
+    userDiv.className = "user-card";
+    const status = user?.status || "Unknown";
+    userDiv.innerHTML = `
+        <p><strong>Name:</strong> ${user.name}</p>
+        <p><strong>Email:</strong> ${user.email}</p>
+        <p><strong>Phone:</strong> ${user.phone}</p>
+        <p><strong>Status:</strong> ${status}</p>
+        <p><strong>Joined:</strong> ${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : "N/A"}</p>
+    `;
+    return userDiv;
+}
+
+function renderManagedUser(user) {
+    const userDiv = document.createElement("div");
+    userDiv.className = "user-card";
+    userDiv.innerHTML = `
+        <p>${user.name} - ${user.email} - ${user.phone}</p>
+        <button onclick="toggleBlockUser('${user._id}')">${user.status === "active" ? "Block" : "Unblock"}</button>
+        <button onclick="deleteUser('${user._id}')">Delete</button>
+    `;
+    return userDiv;
+}
+
+let lastUserSearch = null;
+
 async function searchUsers() {
     const query = document.getElementById("searchUser").value;
-    const token = localStorage.getItem("sellerAuthToken");
     try {
-        const response = await fetch(`${getAPIURL()}/dashboard/users/search?query=${encodeURIComponent(query)}`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
+        // Typing supersedes the previous search
+        const users = await apiClient.get('/dashboard/users/search', {
+            query: { query },
+            cancelKey: 'userSearch'
         });
-        if (handleAuthErrors(response)) return;
-        if (response.status === 401) {
-            alert("Unauthorized. Please login again as a seller.");
-            window.location.href = "seller.html";
-            return;
-        }
-        const users = await response.json();
-        const manageUserList = document.getElementById("manageUserList");
-        manageUserList.innerHTML = "";
+        const manageUserListView = getListView("manageUserList", { renderItem: renderManagedUser, estimatedHeight: 110 });
         if (!Array.isArray(users) || users.length === 0) {
-            manageUserList.innerHTML = '<p style="color:#dc3545;">No users found.</p>';
+            manageUserListView.setMessage("No users found.");
             return;
         }
-        users.forEach(user => {
-            const userDiv = document.createElement("div");
-            userDiv.className = "user-card";
-            userDiv.innerHTML = `
-                <p>${user.name} - ${user.email} - ${user.phone}</p>
-                <button onclick="toggleBlockUser('${user._id}')">${user.status === "active" ? "Block" : "Unblock"}</button>
-                <button onclick="deleteUser('${user._id}')">Delete</button>
-            `;
-            manageUserList.appendChild(userDiv);
-        });
+        // A new search term starts at the top; a refresh after block/delete stays put
+        manageUserListView.setItems(users, { resetScroll: query !== lastUserSearch });
+        lastUserSearch = query;
     } catch (error) {
+        if (error.isAborted || error.isUnauthorized) return;
         console.error("❌ Error searching users:", error);
-        const manageUserList = document.getElementById("manageUserList");
-        if (manageUserList) {
-            manageUserList.innerHTML = '<p style="color:#dc3545;">Error searching users. Please try again later.</p>';
+        if (document.getElementById("manageUserList")) {
+            getListView("manageUserList", { renderItem: renderManagedUser, estimatedHeight: 110 })
+                .setMessage("Error searching users. Please try again later.");
         }
     }
 }
 
 const updateBtn = document.getElementById("updateStatusBtn");
 
-async function loadOrders() {
-    const token = localStorage.getItem('sellerAuthToken');
-    const ordersList = document.getElementById('ordersList');
-    ordersList.innerHTML = '<p>Loading orders...</p>';
-  
-    if (!token) {
-      alert("Unauthorized. Please login again.");
-      location.href = "seller.html";
-      return;
+// ---------------------- Orders List ----------------------
+const ORDERS_PAGE_SIZE = 25;
+
+// Query parameter -> filter control. The same names are used in the page URL
+// so a filtered view can be shared by copying the address.
+const ORDER_FILTER_FIELDS = {
+  q: 'orderSearchInput',
+  status: 'orderFilterStatus',
+  paymentStatus: 'orderFilterPayment',
+  paymentMethod: 'orderFilterMethod',
+  courier: 'orderFilterCourier',
+  customer: 'orderFilterCustomer',
+  from: 'orderFilterFrom',
+  to: 'orderFilterTo',
+  sort: 'orderSort'
+};
+const DEFAULT_ORDER_SORT = 'createdAt:desc';
+const ORDERS_VIEW_PARAM = 'view';
+
+// The search holds customer names, emails and phone numbers - keep it out of
+// the address bar, browser history and shared links
+const PRIVATE_ORDER_FILTERS = ['q'];
+
+const ORDER_SEARCH_DELAY = 300; // ms of no typing before the list updates
+const ORDER_SEARCH_MIN_LENGTH = 2;
+
+// Fields the server matches the q parameter against, used here to highlight
+// why an order was found. The first three are on every card already.
+const ORDER_SEARCH_FIELDS = [
+  { label: 'Order ID', value: order => order.orderId, onCard: true },
+  { label: 'Customer', value: order => order.userName, onCard: true },
+  { label: 'Tracking ID', value: order => order.trackingId, onCard: true },
+  { label: 'Email', value: order => order.userEmail },
+  { label: 'Phone', value: order => order.userPhone },
+  { label: 'Transaction ID', value: order => order.transactionId },
+  { label: 'Product', value: order => (order.orderItems || []).map(item => item.name) }
+];
+
+let ordersPage = 1;
+let orderSearchTerm = ''; // search the list on screen was loaded with
+let orderSearchTimer = null;
+let ordersQueryKey = null; // filters + page of the list on screen
+
+// Checked orders, by id - rows scrolled out of view are unmounted with their checkboxes
+const selectedOrderIds = new Set();
+
+// Only what the seller changed - the default sort is left out of the URL, and
+// a search too short to be useful is not sent
+function readOrderFilters() {
+  const filters = {};
+  Object.entries(ORDER_FILTER_FIELDS).forEach(([param, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (!value) return;
+    if (param === 'sort' && value === DEFAULT_ORDER_SORT) return;
+    if (param === 'q' && value.length < ORDER_SEARCH_MIN_LENGTH) return;
+    filters[param] = value;
+  });
+  return filters;
+}
+
+// Sort is stored as "field:direction"; the API takes them separately
+function buildOrdersQuery(filters, page) {
+  const { sort = DEFAULT_ORDER_SORT, ...rest } = filters;
+  const [sortBy, sortOrder] = sort.split(':');
+  return { ...rest, sortBy, sortOrder, page, limit: ORDERS_PAGE_SIZE };
+}
+
+// Mirror the open orders view in the address bar, keeping unrelated parameters
+function syncOrdersURL(filters, page) {
+  const url = new URL(window.location.href);
+  [ORDERS_VIEW_PARAM, 'page', ...Object.keys(ORDER_FILTER_FIELDS)].forEach(param => url.searchParams.delete(param));
+
+  if (filters) {
+    url.searchParams.set(ORDERS_VIEW_PARAM, 'orders');
+    Object.entries(filters).forEach(([param, value]) => {
+      if (!PRIVATE_ORDER_FILTERS.includes(param)) url.searchParams.set(param, value);
+    });
+    if (page > 1) url.searchParams.set('page', page);
+  }
+  history.replaceState(null, '', url);
+}
+
+// Reopen a shared link on the same filtered page of orders
+function restoreOrdersView() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get(ORDERS_VIEW_PARAM) !== 'orders' || !permissions.can('orders.view')) return;
+
+  Object.entries(ORDER_FILTER_FIELDS).forEach(([param, id]) => {
+    if (params.has(param) && !PRIVATE_ORDER_FILTERS.includes(param)) {
+      document.getElementById(id).value = params.get(param);
     }
-  
+  });
+  openPopup('ordersPopup');
+  loadOrders(Math.max(parseInt(params.get('page'), 10) || 1, 1));
+}
+
+// Enter or the Search button - search now, but say why a one-letter term is not sent
+function searchOrders() {
+  clearTimeout(orderSearchTimer);
+  const term = document.getElementById('orderSearchInput').value.trim();
+  if (term && term.length < ORDER_SEARCH_MIN_LENGTH) {
+    showMessage(`Type at least ${ORDER_SEARCH_MIN_LENGTH} characters to search orders`, 'warning');
+    return;
+  }
+  loadOrders(1);
+}
+
+function setupOrderFilters() {
+  const form = document.getElementById('orderFilters');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadOrders(1);
+  });
+  form.addEventListener('change', () => loadOrders(1));
+  // The search box sits above the form, so clear it by hand
+  form.addEventListener('reset', () => {
+    clearTimeout(orderSearchTimer);
+    document.getElementById('orderSearchInput').value = '';
+    setTimeout(() => loadOrders(1));
+  });
+
+  // Type-ahead: wait for a pause in typing, and ignore one-letter searches
+  const searchInput = document.getElementById('orderSearchInput');
+  searchInput.addEventListener('input', () => {
+    clearTimeout(orderSearchTimer);
+    const term = searchInput.value.trim();
+    if (term && term.length < ORDER_SEARCH_MIN_LENGTH) return;
+    orderSearchTimer = setTimeout(() => loadOrders(1), ORDER_SEARCH_DELAY);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchOrders();
+  });
+
+  document.getElementById('ordersPrevBtn').addEventListener('click', () => loadOrders(ordersPage - 1));
+  document.getElementById('ordersNextBtn').addEventListener('click', () => loadOrders(ordersPage + 1));
+  document.getElementById('copyOrdersLinkBtn').addEventListener('click', async () => {
     try {
-      const res = await fetch(`${getAPIURL()}/dashboard/all-orders`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
+      await navigator.clipboard.writeText(window.location.href);
+      showMessage('Link to this view copied', 'success');
+    } catch (error) {
+      showMessage('Could not copy the link - copy it from the address bar instead', 'warning');
+    }
+  });
+
+  restoreOrdersView();
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Escape a value and wrap the parts matching the search term in <mark>
+function highlightMatch(value, term) {
+  const text = String(value ?? '');
+  if (!term) return escapeHTML(text);
+
+  // split() with a capture group puts the matches at the odd indexes
+  const pattern = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  return text.split(pattern)
+    .map((part, index) => index % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))
+    .join('');
+}
+
+// Matches in fields the card does not normally show, e.g. "Email: <mark>asha</mark>@…"
+function describeOrderMatches(order, term) {
+  if (!term) return '';
+  const lowerTerm = term.toLowerCase();
+
+  return ORDER_SEARCH_FIELDS
+    .filter(field => !field.onCard)
+    .flatMap(field => [].concat(field.value(order) || [])
+      .filter(value => String(value).toLowerCase().includes(lowerTerm))
+      .map(value => `<strong>${field.label}:</strong> ${highlightMatch(value, term)}`))
+    .join(' · ');
+}
+
+function renderOrderCard(order) {
+  const term = orderSearchTerm;
+  const matches = describeOrderMatches(order, term);
+  const div = document.createElement('div');
+  div.className = 'order-card';
+  div.innerHTML = `
+      <div class="order-header">
+        <div class="order-checkbox">
+          <input type="checkbox" class="order-select" data-order-id="${order._id}" ${selectedOrderIds.has(order._id) ? 'checked' : ''} onchange="toggleOrderSelection(this)">
+        </div>
+        <div class="order-info">
+          <h4>Mongo Object ID: ${order._id}</h4> <!-- Display MongoDB Object ID -->
+          <h4>Order ID: ${highlightMatch(order.orderId || 'N/A', term)}</h4> <!-- Display user-friendly Order ID -->
+          <p><strong>Tracking ID:</strong> ${highlightMatch(order.trackingId || 'N/A', term)}</p>
+          <p><strong>Courier Partner:</strong> ${order.courierPartner || 'N/A'}</p>
+          <p><strong>Customer:</strong> ${highlightMatch(order.userName || 'N/A', term)}</p>
+          ${matches ? `<p class="order-search-match">🔍 ${matches}</p>` : ''}
+          <p><strong>Final Payable:</strong> <strong>₹${order.finalTotal}</strong></p>
+          <p><strong>Payment Method:</strong> ${order.paymentMethod}</p>
+          <p class="payment-status status-${orderLifecycle.statusClass(order.paymentStatus)}">Payment: ${order.paymentStatus}</p>
+          <p><strong>Placed On:</strong> ${new Date(order.createdAt).toLocaleString()}</p>
+          <p class="order-status status-${orderLifecycle.statusClass(order.orderStatus)}">Status: ${order.orderStatus}</p>
+        </div>
+        <div class="order-actions">
+          <button class="viewOrderBtn" data-order-id="${order._id}">View</button>
+          ${isFeatureEnabled('INVOICES') ? `<button class="generateInvoiceBtn" data-permission="orders.invoice" onclick="generateSingleInvoice('${order._id}')" title="Generate Invoice">
+            📄 Invoice
+          </button>` : ''}
+        </div>
+      </div>
+  `;
+  return div;
+}
+
+function renderOrdersPager({ page, total, hasMore, count }) {
+  const totalPages = total ? Math.max(Math.ceil(total / ORDERS_PAGE_SIZE), 1) : null;
+
+  document.getElementById('ordersPager').classList.toggle('hidden', page === 1 && !hasMore);
+  document.getElementById('ordersPrevBtn').disabled = page <= 1;
+  document.getElementById('ordersNextBtn').disabled = !hasMore;
+  document.getElementById('ordersPageInfo').textContent = totalPages
+    ? `Page ${page} of ${totalPages} (${total} orders)`
+    : `Page ${page} (${count} orders)`;
+}
+
+/**
+ * Load one page of orders using the filters in the orders popup.
+ * The server does the filtering, sorting and paging; older servers that
+ * return a plain array ignore all of it, so that array is shown as an
+ * unfiltered single page with a warning.
+ * Resolves false when the orders could not be loaded.
+ */
+async function loadOrders(page = ordersPage) {
+    const ordersListView = getListView('ordersList', { renderItem: renderOrderCard, estimatedHeight: 330 });
+    ordersListView.setMessage('Loading orders...');
+
+    const filters = readOrderFilters();
+    orderSearchTerm = filters.q || '';
+    const queryKey = JSON.stringify({ filters, page });
+    const sameQuery = queryKey === ordersQueryKey;
+    ordersPage = page;
+    ordersQueryKey = queryKey;
+    syncOrdersURL(filters, page);
+
+    try {
+      const data = await apiClient.get('/dashboard/all-orders', {
+        query: buildOrdersQuery(filters, page),
+        cancelKey: 'orders'
       });
-  
-      if (res.status === 401) {
-        alert("Unauthorized. Please login again.");
-        location.href = "seller.html";
-        return;
+
+      const paged = !Array.isArray(data);
+      const orders = paged ? (data?.orders || []) : data;
+      const total = paged ? data?.total : orders.length;
+      const hasMore = paged ? (data?.hasMore ?? page * ORDERS_PAGE_SIZE < (total || 0)) : false;
+      const filtered = paged && Object.keys(filters).length > 0;
+
+      if (!paged && (Object.keys(filters).length || page > 1)) {
+        orderSearchTerm = ''; // nothing was searched, so nothing to highlight
+        showMessage('The server ignored the search, filters and paging - showing all orders.', 'warning');
       }
-  
-      const data = await res.json();
-  
-      if (!data || !Array.isArray(data)) {
-        ordersList.innerHTML = '<p>No orders found.</p>';
-        return;
+
+      // Selections do not carry over to another page or filter
+      if (!sameQuery) {
+        selectedOrderIds.clear();
+        document.getElementById('selectAllOrders').checked = false;
       }
-  
-      ordersList.innerHTML = '';
-      data.forEach(order => {
-          const div = document.createElement('div');
-          div.className = 'order-card';
-          div.innerHTML = `
-              <div class="order-header">
-                <div class="order-checkbox">
-                  <input type="checkbox" class="order-select" data-order-id="${order._id}" onchange="updateSelectedCount()">
-                </div>
-                <div class="order-info">
-                  <h4>Mongo Object ID: ${order._id}</h4> <!-- Display MongoDB Object ID -->
-                  <h4>Order ID: ${order.orderId || 'N/A'}</h4> <!-- Display user-friendly Order ID -->
-                  <p><strong>Tracking ID:</strong> ${order.trackingId || 'N/A'}</p>
-                  <p><strong>Courier Partner:</strong> ${order.courierPartner || 'N/A'}</p>
-                  <p><strong>Customer:</strong> ${order.userName || 'N/A'}</p>
-                  <p><strong>Final Payable:</strong> <strong>₹${order.finalTotal}</strong></p>
-                  <p><strong>Payment Method:</strong> ${order.paymentMethod}</p>
-                  <p class="payment-status status-${order.paymentStatus.toLowerCase()}">Payment: ${order.paymentStatus}</p>
-                  <p><strong>Placed On:</strong> ${new Date(order.createdAt).toLocaleString()}</p>
-                  <p class="order-status status-${order.orderStatus.toLowerCase()}">Status: ${order.orderStatus}</p>
-                </div>
-                <div class="order-actions">
-                  <button class="viewOrderBtn" data-order-id="${order._id}">View</button>
-                  <button class="generateInvoiceBtn" onclick="generateSingleInvoice('${order._id}')" title="Generate Invoice">
-                    📄 Invoice
-                  </button>
-                </div>
-              </div>
-          `;
-          ordersList.appendChild(div);
+      // A refresh keeps only the selected orders that are still listed
+      const listedIds = new Set(orders.map(order => order._id));
+      selectedOrderIds.forEach(id => {
+        if (!listedIds.has(id)) selectedOrderIds.delete(id);
       });
-      
+      updateSelectedCount();
+      renderOrdersPager({ page, total, hasMore, count: orders.length });
 
-  
-      attachViewButtons();
+      if (!orders.length) {
+        ordersListView.setMessage(filtered ? 'No orders match this search and filters.' : 'No orders found.');
+        return true;
+      }
+
+      // Refreshing the same page (e.g. after a status update) keeps the scroll position
+      ordersListView.setItems(orders, { resetScroll: !sameQuery });
+      return true;
     } catch (err) {
+      // Superseded by a newer load - that one reports its own outcome
+      if (err.isAborted) return true;
       console.error('Error loading orders:', err);
-      ordersList.innerHTML = '<p>Error loading orders. Please try again.</p>';
+      ordersListView.setMessage('Error loading orders. Please try again.');
+      return false;
     }
   }
-  
-  function attachViewButtons() {
-    document.querySelectorAll(".viewOrderBtn").forEach(btn => {
-      btn.addEventListener("click", async () => {
-        const orderId = btn.getAttribute("data-order-id");
-        openPopup('orderDetailsPopup');
 
-        await loadOrderDetails(orderId);
-      });
+  // Rows are mounted and unmounted while scrolling, so listen on the list itself
+  function setupOrderViewButtons() {
+    document.getElementById('ordersList').addEventListener('click', async (e) => {
+      const btn = e.target.closest('.viewOrderBtn');
+      if (!btn) return;
+
+      openPopup('orderDetailsPopup');
+      await loadOrderDetails(btn.getAttribute('data-order-id'));
     });
   }
   
 
   async function loadOrderDetails(orderId) {
-    const token = localStorage.getItem('sellerAuthToken');
     try {
-      const res = await fetch(`${getAPIURL()}/dashboard/order/${orderId}`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
-  
-      const order = await res.json();
+      const order = await apiClient.get(`/dashboard/order/${orderId}`, { cancelKey: 'orderDetails' });
   
       if (!order || !order._id) {
         orderDetailsContainer.innerHTML = "<p>Order not found.</p>";
@@ -1840,43 +3085,40 @@ ${order.paymentStatus === 'Refunded' ? `
       <h4>Update Tracking Details:</h4>
       <div>
           <label for="trackingIdInput">Tracking ID:</label>
-          <input type="text" id="trackingIdInput" value="${order.trackingId || ''}">
+          <input type="text" id="trackingIdInput" data-permission="orders.status" data-permission-mode="disable" value="${order.trackingId || ''}">
       </div>
       <div>
           <label for="courierPartnerInput">Courier Partner:</label>
-          <input type="text" id="courierPartnerInput" value="${order.courierPartner || ''}">
+          <input type="text" id="courierPartnerInput" data-permission="orders.status" data-permission-mode="disable" value="${order.courierPartner || ''}">
       </div>
       
       <h4>Update Order Status:</h4>
       <div class="status-update-section">
         <label for="orderStatusSelect">Order Status:</label>
-        <select id="orderStatusSelect">
-          <option value="Pending">Pending</option>
-          <option value="Processing">Processing</option>
-          <option value="Shipped">Shipped</option>
-          <option value="Delivered">Delivered</option>
-          <option value="Canceled">Canceled</option>
+        <select id="orderStatusSelect" data-permission="orders.status" data-permission-mode="disable" data-original="${order.orderStatus || 'Pending'}">
+          ${renderStatusOptions(order.orderStatus || 'Pending', orderLifecycle.getNextStatuses(order.orderStatus || 'Pending'))}
         </select>
-        <button id="updateStatusBtn" class="update-btn">Update Status</button>
+        <div id="orderStatusReasonField" class="hidden">
+          <label for="orderStatusReason">Reason:</label>
+          <textarea id="orderStatusReason" rows="2" placeholder="Shown in the order history"></textarea>
+        </div>
+        <p id="orderStatusHint" class="status-hint"></p>
+        <button id="updateStatusBtn" class="update-btn" data-permission="orders.status">Update Status</button>
       </div>
       
       <h4>Update Payment Status:</h4>
       <div class="status-update-section">
         <label for="paymentStatusSelect">Payment Status:</label>
-        <select id="paymentStatusSelect">
-          <option value="Pending">Pending</option>
-          <option value="Paid">Paid</option>
-          <option value="Failed">Failed</option>
-          <option value="Refunded">Refunded</option>
+        <select id="paymentStatusSelect" data-permission="orders.payment" data-permission-mode="disable" data-original="${order.paymentStatus || 'Pending'}">
+          ${renderStatusOptions(order.paymentStatus || 'Pending', orderLifecycle.getNextPaymentStatuses(order.paymentStatus || 'Pending'))}
         </select>
-        <button id="updatePaymentStatusBtn" class="update-btn">Update Payment Status</button>
+        <p id="paymentStatusHint" class="status-hint"></p>
+        <button id="updatePaymentStatusBtn" class="update-btn" data-permission="orders.payment">Update Payment Status</button>
       </div>
   
   `;
   
-  
-      document.getElementById("orderStatusSelect").value = order.orderStatus;
-      document.getElementById("paymentStatusSelect").value = order.paymentStatus;
+      setupStatusControls();
       const updateBtn = document.getElementById("updateStatusBtn");
       const updatePaymentBtn = document.getElementById("updatePaymentStatusBtn");
       updateBtn.setAttribute("data-order-id", order._id);
@@ -1888,181 +3130,102 @@ ${order.paymentStatus === 'Refunded' ? `
     }
   }
 
-  async function searchOrderByFriendlyId() {
-  const input = document.getElementById("orderSearchInput").value.trim();
-  const token = localStorage.getItem("sellerAuthToken");
-
-  if (!input) {
-    alert("Please enter a valid Order ID.");
-    return;
-  }
-
-  try {
-    const response = await fetch(`${getAPIURL()}/dashboard/order-by-orderid/${input}`, {
-      headers: {
-        Authorization: `Bearer ${token}`
-      }
-    });
-
-    if (!response.ok) {
-      document.getElementById("ordersList").innerHTML = `<p>No order found with Order ID: <strong>${input}</strong></p>`;
-      return;
-    }
-
-    const order = await response.json();
-document.getElementById("ordersList").innerHTML = renderOrderItem(order);
-
-// Set the correct selected values for dropdowns
-setTimeout(() => {
-  const orderStatusSelect = document.getElementById('orderStatusSelect');
-  const paymentStatusSelect = document.getElementById('paymentStatusSelect');
-  
-  if (orderStatusSelect) {
-    orderStatusSelect.value = order.orderStatus || 'Pending';
-  }
-  
-  if (paymentStatusSelect) {
-    paymentStatusSelect.value = order.paymentStatus || 'Pending';
-  }
-  
-  // Set data-order-id attributes for update buttons
-  document.querySelectorAll('.update-btn').forEach(btn => {
-    btn.setAttribute('data-order-id', order._id);
-  });
-}, 100);
-
-  } catch (err) {
-    console.error("Error:", err);
-    document.getElementById("ordersList").innerHTML = `<p>Something went wrong while searching.</p>`;
-  }
+// Current status first, then only the statuses the lifecycle allows next
+function renderStatusOptions(current, nextStatuses) {
+  return [current, ...nextStatuses].map(status => {
+    const refundOnly = status === 'Refunded' && status !== current
+      ? ' data-permission="orders.refund" data-permission-mode="disable"'
+      : '';
+    const label = status === current ? `${status} (current)` : status;
+    return `<option value="${escapeHTML(status)}"${refundOnly}>${escapeHTML(label)}</option>`;
+  }).join('');
 }
-function renderOrderItem(order) {
-  const address = order.shippingAddress || {};
-  const formattedAddress = `
-    ${address.street || ''}, ${address.city || ''},<br>
-    ${address.state || ''}, ${address.zipcode || ''},<br>
-    ${address.country || ''}
-  `;
-
-  // Check if coordinates exist
-  const hasCoordinates = address.latitude && address.longitude;
-  const coordinatesDisplay = hasCoordinates 
-    ? `<p><strong>Coordinates:</strong> ${address.latitude}, ${address.longitude}</p>`
-    : '<p><strong>Coordinates:</strong> Not available</p>';
-  
-  const mapButton = hasCoordinates 
-    ? `<button onclick="openLocationMap(${address.latitude}, ${address.longitude})" class="map-btn">🗺️ View on Map</button>`
-    : '';
-
-  const itemsHTML = (order.orderItems || [])
-    .map(item => `<li>${item.name} - ₹${item.price} × ${item.quantity}</li>`)
-    .join('');
-
-  const couponsHTML = (order.appliedCoupons || []).length
-    ? `<p><strong>Applied Coupons:</strong> ${order.appliedCoupons.join(', ')}</p>`
-    : '';
-
-  return `
-    <div class="order-details">
-      <p><strong>Mongo Object ID:</strong> ${order._id}</p>
-      <h4>Order ID: ${order.orderId}</h4>
-      <p><strong>Tracking ID:</strong> ${order.trackingId}</p>
-      <p><strong>Courier Partner:</strong> ${order.courierPartner}</p>
-      <p><strong>Status:</strong> ${order.orderStatus}</p>
-      <p><strong>User:</strong> ${order.userName || 'N/A'} (${order.userEmail || ''})</p>
-      <p><strong>Registered User:</strong> ${order.isRegisteredUser ? 'Yes' : 'No'}</p>
-      <p><strong>Phone:</strong> ${order.userPhone || ''}</p>
-      <p><strong>Payment Method:</strong> ${order.paymentMethod}</p>
-      <p><strong>Total Price:</strong> ₹${order.totalPrice}</p>
-      <p><strong>Discount:</strong> ₹${order.discountAmount || 0}</p>
-      <p><strong>Shipping Charges:</strong> ₹${order.shippingCharges || 0}</p>
-      <p><strong>Final Total:</strong> ₹${order.finalTotal || order.totalPrice}</p>
-      ${couponsHTML}
-      <p><strong>Ordered On:</strong> ${new Date(order.createdAt).toLocaleString()}</p>
-
-      <h4>Shipping Address:</h4>
-      <p>${formattedAddress}</p>
-      ${coordinatesDisplay}
-      ${mapButton}
 
-      <h4>Items:</h4>
-      <ul>${itemsHTML}</ul>
+// Lock finished orders and show what the chosen status needs
+function setupStatusControls() {
+  const statusSelect = document.getElementById('orderStatusSelect');
+  const paymentSelect = document.getElementById('paymentStatusSelect');
+  const current = statusSelect.dataset.original;
+
+  const updateStatusHint = () => {
+    const target = statusSelect.value;
+    const requirements = orderLifecycle.getRequirements(target);
+    document.getElementById('orderStatusReasonField').classList.toggle('hidden', !requirements.includes('reason'));
+
+    let hint = '';
+    if (orderLifecycle.isFinal(current)) {
+      hint = `${current} is a final status - it cannot be changed.`;
+    } else if (target !== current && requirements.includes('trackingId')) {
+      hint = 'Enter the tracking ID and courier partner above before shipping.';
+    } else if (target !== current && orderLifecycle.needsConfirmation(target)) {
+      hint = `Marking an order ${target} cannot be undone.`;
+    }
+    document.getElementById('orderStatusHint').textContent = hint;
+  };
 
-      <h4>Update Tracking Details:</h4>
-      <div>
-          <label for="trackingIdInput">Tracking ID:</label>
-          <input type="text" id="trackingIdInput" value="${order.trackingId !== "N/A" ? order.trackingId : ''}">
-      </div>
-      <div>
-          <label for="courierPartnerInput">Courier Partner:</label>
-          <input type="text" id="courierPartnerInput" value="${order.courierPartner !== "N/A" ? order.courierPartner : ''}">
-      </div>
+  if (orderLifecycle.isFinal(current)) {
+    statusSelect.disabled = true;
+  }
+  if (orderLifecycle.isFinalPayment(paymentSelect.dataset.original)) {
+    paymentSelect.disabled = true;
+    document.getElementById('updatePaymentStatusBtn').disabled = true;
+    document.getElementById('paymentStatusHint').textContent = `${paymentSelect.dataset.original} is a final payment status.`;
+  }
 
-      <h4>Update Order Status:</h4>
-      <div class="status-update-section">
-        <label for="orderStatusSelect">Order Status:</label>
-        <select id="orderStatusSelect">
-          <option value="Pending">Pending</option>
-          <option value="Processing">Processing</option>
-          <option value="Shipped">Shipped</option>
-          <option value="Delivered">Delivered</option>
-          <option value="Canceled">Canceled</option>
-        </select>
-        <button id="updateStatusBtn" class="update-btn">Update Status</button>
-      </div>
-      
-      <h4>Update Payment Status:</h4>
-      <div class="status-update-section">
-        <label for="paymentStatusSelect">Payment Status:</label>
-        <select id="paymentStatusSelect">
-          <option value="Pending">Pending</option>
-          <option value="Paid">Paid</option>
-          <option value="Failed">Failed</option>
-          <option value="Refunded">Refunded</option>
-        </select>
-        <button id="updatePaymentStatusBtn" class="update-btn">Update Payment Status</button>
-      </div>
-    </div>
-  `;
+  statusSelect.addEventListener('change', updateStatusHint);
+  updateStatusHint();
 }
 
-  
 // Unified event delegation for both update buttons
 document.addEventListener('click', async function(e) {
-  const token = localStorage.getItem('sellerAuthToken');
-  if (!token) {
-    alert('Unauthorized. Please login again.');
-    window.location.href = 'seller.html';
-    return;
-  }
-
   // Update order status handler
   if (e.target && e.target.id === 'updateStatusBtn') {
+    if (!requirePermission('orders.status')) return;
     const orderId = e.target.getAttribute('data-order-id');
-    const newStatus = document.getElementById('orderStatusSelect').value;
-    const trackingId = document.getElementById('trackingIdInput').value.trim();
-    const courierPartner = document.getElementById('courierPartnerInput').value.trim();
+    const statusSelect = document.getElementById('orderStatusSelect');
+    const trackingInput = document.getElementById('trackingIdInput');
+    const courierInput = document.getElementById('courierPartnerInput');
+    const newStatus = statusSelect.value;
+    const trackingId = trackingInput.value.trim();
+    const courierPartner = courierInput.value.trim();
+    const reason = document.getElementById('orderStatusReason').value.trim();
+
+    const invalid = orderLifecycle.validateTransition(statusSelect.dataset.original, newStatus, { trackingId, courierPartner, reason });
+    if (invalid) {
+      alert(invalid);
+      return;
+    }
+    if (newStatus !== statusSelect.dataset.original && orderLifecycle.needsConfirmation(newStatus) &&
+        !confirm(`Mark this order ${newStatus}? This cannot be undone.`)) {
+      return;
+    }
 
     try {
-      const res = await fetch(`${getAPIURL()}/dashboard/order/${orderId}/status`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
+      const queued = await submitOrderChange({
+        path: `/dashboard/order/${orderId}/status`,
+        body: { status: newStatus, trackingId, courierPartner, ...(reason && { reason }) },
+        orderId,
+        check: {
+          before: { orderStatus: statusSelect.dataset.original, trackingId: trackingInput.defaultValue, courierPartner: courierInput.defaultValue },
+          after: { orderStatus: newStatus, trackingId, courierPartner }
         },
-        body: JSON.stringify({ status: newStatus, trackingId, courierPartner }),
+        audit: {
+          action: 'order.status',
+          entity: 'order',
+          entityId: orderId,
+          summary: `Order status set to ${newStatus}${reason ? ` (${reason})` : ''}`,
+          before: { status: statusSelect.dataset.original, trackingId: trackingInput.defaultValue, courierPartner: courierInput.defaultValue },
+          after: { status: newStatus, trackingId, courierPartner }
+        }
       });
-      const result = await res.json();
-      if (res.ok) {
-        alert('Order updated successfully!');
-        closePopup();
-        loadOrders();
-      } else {
-        alert(result.message || 'Failed to update order.');
-      }
+      requestCache.invalidate('/dashboard/stats');
+      alert(queued ? OFFLINE_QUEUED_MESSAGE : 'Order updated successfully!');
+      closePopup();
+      loadOrders();
     } catch (err) {
       console.error('Error updating order:', err);
-      alert('Something went wrong while updating the order.');
+      if (err.isUnauthorized) return;
+      alert(err.status ? (err.message || 'Failed to update order.') : 'Something went wrong while updating the order.');
     }
   }
 
@@ -2073,83 +3236,197 @@ document.addEventListener('click', async function(e) {
       alert('Order ID not found.');
       return;
     }
-    const newPaymentStatus = document.getElementById('paymentStatusSelect').value;
+    const paymentSelect = document.getElementById('paymentStatusSelect');
+    const newPaymentStatus = paymentSelect.value;
+    if (!requirePermission(newPaymentStatus === 'Refunded' ? 'orders.refund' : 'orders.payment')) return;
+
+    const invalid = orderLifecycle.validatePaymentTransition(paymentSelect.dataset.original, newPaymentStatus);
+    if (invalid) {
+      alert(invalid);
+      return;
+    }
+    if (newPaymentStatus !== paymentSelect.dataset.original && orderLifecycle.paymentNeedsConfirmation(newPaymentStatus) &&
+        !confirm(`Mark this payment ${newPaymentStatus}? This cannot be undone.`)) {
+      return;
+    }
 
     try {
-      const res = await fetch(`${getAPIURL()}/dashboard/order/${orderId}/payment-status`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
+      const queued = await submitOrderChange({
+        path: `/dashboard/order/${orderId}/payment-status`,
+        body: { paymentStatus: newPaymentStatus },
+        orderId,
+        check: {
+          before: { paymentStatus: paymentSelect.dataset.original },
+          after: { paymentStatus: newPaymentStatus }
         },
-        body: JSON.stringify({ paymentStatus: newPaymentStatus }),
+        audit: {
+          action: 'order.payment',
+          entity: 'order',
+          entityId: orderId,
+          summary: `Payment status set to ${newPaymentStatus}`,
+          before: { paymentStatus: paymentSelect.dataset.original },
+          after: { paymentStatus: newPaymentStatus }
+        }
       });
-      const result = await res.json();
-
-      if (res.ok) {
-        alert('Payment status updated successfully!');
-        closePopup();
-        loadOrders();
-      } else {
-        alert(result.message || 'Failed to update payment status.');
-      }
+      requestCache.invalidate('/dashboard/stats');
+      alert(queued ? OFFLINE_QUEUED_MESSAGE : 'Payment status updated successfully!');
+      closePopup();
+      loadOrders();
     } catch (err) {
       console.error('Error updating payment status:', err);
-      alert('Something went wrong while updating the payment status.');
+      if (err.isUnauthorized) return;
+      alert(err.status ? (err.message || 'Failed to update payment status.') : 'Something went wrong while updating the payment status.');
     }
   }
 });
-// ---------------------- Sales Report Logic ----------------------
 
-// Global variable for sales chart
-let salesChart;
+// ---------------------- Offline Changes ----------------------
+const OFFLINE_QUEUED_MESSAGE = "You're offline. The change was saved on this device and will be sent when the connection is back.";
 
-async function fetchSalesReport(startDate = "", endDate = "") {
-  const token = localStorage.getItem("sellerAuthToken");
+const QUEUED_STATUS_LABELS = {
+  pending: '⏳ Waiting to send',
+  failed: '❌ Failed',
+  conflict: '⚠️ Changed on the server'
+};
 
-  if (!token) {
-    alert("Authentication required. Please login again.");
-    window.location.href = "seller.html";
+/**
+ * Send an order update, or queue it when there is no connection.
+ * change: { path, body, orderId, check: { before, after }, audit }
+ * Resolves true when the change was queued instead of sent.
+ */
+async function submitOrderChange({ path, body, orderId, check, audit }) {
+  if (navigator.onLine) {
+    try {
+      await apiClient.patch(path, body, { audit });
+      return false;
+    } catch (error) {
+      if (!error.isNetworkError) throw error;
+    }
+  }
+
+  await mutationQueue.enqueue({
+    method: 'PATCH',
+    path,
+    body,
+    summary: `${audit.summary} (order ${orderId})`,
+    entity: 'order',
+    entityId: orderId,
+    check: { path: `/dashboard/order/${orderId}`, ...check },
+    audit
+  });
+  return true;
+}
+
+function setupOfflineChanges() {
+  mutationQueue.changeHandler = renderPendingChanges;
+  mutationQueue.appliedHandler = (entry) => {
+    requestCache.invalidate('/dashboard/stats');
+    showMessage(`Sent: ${entry.summary}`, 'success');
+  };
+  document.getElementById('syncPendingChangesBtn').addEventListener('click', async () => {
+    if (!navigator.onLine) {
+      showMessage('Still offline - changes will be sent when the connection is back.', 'warning');
+      return;
+    }
+    await mutationQueue.replay();
+  });
+  mutationQueue.start();
+}
+
+function renderPendingChanges(entries) {
+  const nav = document.getElementById('pendingChangesNav');
+  const list = document.getElementById('pendingChangesList');
+  const failed = entries.filter(entry => entry.status !== 'pending').length;
+
+  nav.classList.toggle('hidden', entries.length === 0);
+  nav.classList.toggle('has-failures', failed > 0);
+  document.getElementById('pendingChangesCount').textContent = entries.length;
+
+  list.innerHTML = '';
+  if (!entries.length) {
+    list.innerHTML = '<p>No changes waiting to be sent.</p>';
     return;
   }
 
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = `pending-change pending-change-${entry.status}`;
+
+    const summary = document.createElement('p');
+    summary.className = 'pending-change-summary';
+    summary.textContent = entry.summary;
+
+    const meta = document.createElement('p');
+    meta.className = 'pending-change-meta';
+    meta.textContent = `${QUEUED_STATUS_LABELS[entry.status]} · made ${new Date(entry.createdAt).toLocaleString()}`;
+
+    item.append(summary, meta);
+
+    if (entry.error) {
+      const error = document.createElement('p');
+      error.className = 'pending-change-error';
+      error.textContent = entry.error;
+      item.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'pending-change-actions';
+    if (entry.status === 'failed') {
+      actions.appendChild(pendingChangeButton('Retry', () => mutationQueue.retry(entry.id)));
+    }
+    if (entry.status === 'conflict') {
+      actions.appendChild(pendingChangeButton('View order', () => {
+        openPopup('orderDetailsPopup');
+        loadOrderDetails(entry.entityId);
+      }));
+      actions.appendChild(pendingChangeButton('Apply anyway', () => {
+        if (confirm('Overwrite the newer server copy with your offline change?')) {
+          mutationQueue.retry(entry.id, { force: true });
+        }
+      }));
+    }
+    actions.appendChild(pendingChangeButton('Discard', () => {
+      if (confirm('Discard this change? It will not be sent.')) mutationQueue.discard(entry.id);
+    }));
+    item.appendChild(actions);
+
+    list.appendChild(item);
+  });
+}
+
+function pendingChangeButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+// ---------------------- Sales Report Logic ----------------------
+
+// Global variable for sales chart
+let salesChart;
+
+async function fetchSalesReport(startDate = "", endDate = "") {
+  // Opened automatically with the popup - stay quiet for roles without reports
+  if (!permissions.can('reports.view') || !isFeatureEnabled('SALES_REPORT')) return;
   try {
-    let url = `${getAPIURL()}/dashboard/sales-report`;
-    
     // Debug: Log the parameters being sent
     console.log("🔍 Fetching sales report with:", { startDate, endDate });
     
     // Build query parameters properly
-    const params = new URLSearchParams();
+    const query = {};
     if (startDate && endDate) {
       // Ensure dates are in proper format
-      const start = new Date(startDate).toISOString().split('T')[0];
-      const end = new Date(endDate).toISOString().split('T')[0];
-      params.append('startDate', start);
-      params.append('endDate', end);
-      url += `?${params.toString()}`;
-    }
-
-    console.log("🔍 Final URL:", url);
-
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-    });
-
-    if (!res.ok) {
-      const errorText = await res.text();
-      throw new Error(`Failed to fetch sales report: ${res.status} ${res.statusText} - ${errorText}`);
+      query.startDate = new Date(startDate).toISOString().split('T')[0];
+      query.endDate = new Date(endDate).toISOString().split('T')[0];
     }
 
-    const data = await res.json();
+    const data = await apiClient.get('/dashboard/sales-report', { query, cancelKey: 'salesReport' });
     console.log("🔍 Sales report data received:", data);
     
     renderSalesReport(data);
   } catch (err) {
+    if (err.isAborted) return;
     console.error("Sales report fetch error:", err);
     alert("Error fetching sales report: " + err.message);
   }
@@ -2502,9 +3779,6 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 });
 
-  // Initial call
-  loadOrders();
-  
 // Add after DOMContentLoaded or initialization
 
 document.addEventListener('DOMContentLoaded', function () {
@@ -2570,20 +3844,14 @@ function closeRevenueChartPopup() {
 
 async function fetchAndRenderRevenueChart(timePeriod) {
   currentRevenueTimePeriod = timePeriod;
-  const token = localStorage.getItem('sellerAuthToken');
-  let url = `${getAPIURL()}/dashboard/sales-report?timePeriod=${timePeriod}`;
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
-  });
-  if (!res.ok) {
+  let data;
+  try {
+    data = await apiClient.get('/dashboard/sales-report', { query: { timePeriod }, cancelKey: 'revenueChart' });
+  } catch (error) {
+    if (error.isAborted || error.isUnauthorized) return;
     alert('Failed to fetch revenue chart');
     return;
   }
-  const data = await res.json();
   renderRevenueLineChart(data.revenueChart);
 }
 
@@ -2665,20 +3933,14 @@ function closeOrderStatusPopup() {
 }
 
 async function fetchAndRenderOrderStatusCards() {
-  const token = localStorage.getItem('sellerAuthToken');
-  let url = `${getAPIURL()}/dashboard/sales-report`;
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
-  });
-  if (!res.ok) {
+  let data;
+  try {
+    data = await apiClient.get('/dashboard/sales-report');
+  } catch (error) {
+    if (error.isUnauthorized) return;
     alert('Failed to fetch order status breakdown');
     return;
   }
-  const data = await res.json();
   renderOrderStatusCards(data.orderStatusCounts);
 }
 
@@ -2714,70 +3976,48 @@ function renderOrderStatusCards(statusCounts) {
 }
 
 async function deleteUser(userId) {
+    if (!requirePermission('users.manage')) return;
     if (!confirm('Are you sure you want to delete this user? This action cannot be undone.')) return;
-    const token = localStorage.getItem('sellerAuthToken');
     try {
-        const res = await fetch(`${getAPIURL()}/dashboard/users/${userId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
+        await apiClient.delete(`/dashboard/users/${userId}`, {
+            audit: { action: 'user.delete', entity: 'user', entityId: userId, summary: 'Deleted customer' }
         });
-        if (!res.ok) {
-            const data = await res.json();
-            alert(data.error || 'Failed to delete user.');
-            return;
-        }
+        requestCache.invalidate('/dashboard/users', '/dashboard/stats');
         // Remove user from the list
         searchUsers(); // Refresh the list
         alert('User deleted successfully.');
     } catch (error) {
-        alert('Error deleting user. Please try again.');
+        if (error.isUnauthorized) return;
+        alert(error.status ? (error.data?.error || 'Failed to delete user.') : 'Error deleting user. Please try again.');
     }
 }
 
 async function toggleBlockUser(userId) {
-    const token = localStorage.getItem('sellerAuthToken');
+    if (!requirePermission('users.manage')) return;
     // Find the current status from the button text
     const btn = event.target;
     const isCurrentlyActive = btn.textContent.trim().toLowerCase() === 'block';
     const newStatus = isCurrentlyActive ? 'blocked' : 'active';
     if (!confirm(`Are you sure you want to ${isCurrentlyActive ? 'block' : 'unblock'} this user?`)) return;
     try {
-        const res = await fetch(`${getAPIURL()}/dashboard/users/${userId}/status`, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ status: newStatus })
+        const data = await apiClient.patch(`/dashboard/users/${userId}/status`, { status: newStatus }, {
+            audit: {
+                action: isCurrentlyActive ? 'user.block' : 'user.unblock',
+                entity: 'user',
+                entityId: userId,
+                summary: isCurrentlyActive ? 'Blocked customer' : 'Unblocked customer',
+                before: { status: isCurrentlyActive ? 'active' : 'blocked' },
+                after: { status: newStatus }
+            }
         });
-        const data = await res.json();
-        if (!res.ok) {
-            alert(data.error || 'Failed to update user status.');
-            return;
-        }
+        requestCache.invalidate('/dashboard/users');
         // Refresh the list
         searchUsers();
         alert(data.message);
     } catch (error) {
-        alert('Error updating user status. Please try again.');
-    }
-}
-
-function handleAuthErrors(response) {
-    if (response.status === 401) {
-        response.json().then(data => {
-            if (data.message && (data.message.includes('blocked') || data.message.includes('deleted'))) {
-                alert(data.message);
-                localStorage.removeItem('sellerAuthToken');
-                window.location.href = 'seller.html';
-            }
-        });
-        return true;
+        if (error.isUnauthorized) return;
+        alert(error.status ? (error.data?.error || 'Failed to update user status.') : 'Error updating user status. Please try again.');
     }
-    return false;
 }
 
 // Show chart for Total Sales
@@ -2822,16 +4062,15 @@ async function updateTotalSalesChart(timePeriod = 'month') {
   // Map frontend values to backend values
   if (timePeriod === 'monthly') timePeriod = 'month';
   if (timePeriod === 'yearly') timePeriod = 'year';
-  const token = localStorage.getItem('sellerAuthToken');
-  let url = `${getAPIURL()}/dashboard/revenue-chart?timePeriod=${timePeriod}`;
-  const res = await fetch(url, {
-    headers: { 'Authorization': `Bearer ${token}` }
-  });
-  if (!res.ok) {
+  let chart;
+  try {
+    chart = await apiClient.get('/dashboard/revenue-chart', { query: { timePeriod }, cancelKey: 'salesChart' });
+  } catch (error) {
+    if (error.isAborted || error.isUnauthorized) return;
     alert('Failed to fetch sales chart');
     return;
   }
-  const { labels, data } = await res.json();
+  const { labels, data } = chart;
   renderTotalSalesChart(labels, data);
 }
 function renderTotalSalesChart(labels, data) {
@@ -2882,12 +4121,29 @@ function openLocationMap(latitude, longitude) {
  */
 function toggleSelectAllOrders() {
   const selectAllCheckbox = document.getElementById('selectAllOrders');
-  const orderCheckboxes = document.querySelectorAll('.order-select');
-  
-  orderCheckboxes.forEach(checkbox => {
+  const ordersListView = listViews.ordersList;
+  const orders = ordersListView ? ordersListView.getItems() : [];
+
+  selectedOrderIds.clear();
+  if (selectAllCheckbox.checked) {
+    orders.forEach(order => selectedOrderIds.add(order._id));
+  }
+
+  // Unmounted rows pick the state up when they scroll into view
+  document.querySelectorAll('.order-select').forEach(checkbox => {
     checkbox.checked = selectAllCheckbox.checked;
   });
-  
+
+  updateSelectedCount();
+}
+
+/**
+ * Track one order checkbox
+ */
+function toggleOrderSelection(checkbox) {
+  const orderId = checkbox.getAttribute('data-order-id');
+  if (checkbox.checked) selectedOrderIds.add(orderId);
+  else selectedOrderIds.delete(orderId);
   updateSelectedCount();
 }
 
@@ -2895,45 +4151,40 @@ function toggleSelectAllOrders() {
  * Update the count of selected orders
  */
 function updateSelectedCount() {
-  const selectedCheckboxes = document.querySelectorAll('.order-select:checked');
-  const selectedCount = selectedCheckboxes.length;
-  const generateBtn = document.getElementById('generateInvoicesBtn');
-  
+  const selectedCount = selectedOrderIds.size;
+
   document.getElementById('selectedCount').textContent = `${selectedCount} orders selected`;
-  generateBtn.disabled = selectedCount === 0;
+  document.querySelectorAll('.bulk-action-btn').forEach(button => {
+    button.disabled = selectedCount === 0;
+  });
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
 }
 
 /**
  * Generate single invoice for an order
  */
 async function generateSingleInvoice(orderId) {
+  if (!requirePermission('orders.invoice')) return;
+  if (!requireFeature('INVOICES')) return;
   try {
     showMessage('Generating invoice...', 'info');
     
-    const token = localStorage.getItem('sellerAuthToken');
-    const response = await fetch(`${getAPIURL()}/invoices/generate/${orderId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to generate invoice');
-    }
-
     // Get the PDF blob
-    const blob = await response.blob();
-    
-    // Create download link
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Invoice-${orderId}-${new Date().toISOString().split('T')[0]}.pdf`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+    const blob = await apiClient.get(`/invoices/generate/${orderId}`, { responseType: 'blob' });
+    downloadBlob(blob, `Invoice-${orderId}-${new Date().toISOString().split('T')[0]}.pdf`);
     
     showMessage('Invoice generated successfully!', 'success');
     
@@ -2947,52 +4198,38 @@ async function generateSingleInvoice(orderId) {
  * Generate bulk invoices for selected orders
  */
 async function generateBulkInvoices() {
+  if (!requirePermission('orders.invoice')) return;
+  if (!requireFeature('INVOICES')) return;
   try {
-    const selectedCheckboxes = document.querySelectorAll('.order-select:checked');
-    const orderIds = Array.from(selectedCheckboxes).map(checkbox => checkbox.getAttribute('data-order-id'));
+    const orderIds = Array.from(selectedOrderIds);
     
     if (orderIds.length === 0) {
       showMessage('Please select orders to generate invoices', 'warning');
       return;
     }
+
+    const maxBulkSize = window.SELLER_LIMITS.MAX_BULK_SIZE;
+    if (orderIds.length > maxBulkSize) {
+      showMessage(`You can generate up to ${maxBulkSize} invoices at once. Please select fewer orders.`, 'warning');
+      return;
+    }
     
     showMessage(`Generating ${orderIds.length} invoices...`, 'info');
     
-    const token = localStorage.getItem('sellerAuthToken');
-    const response = await fetch(`${getAPIURL()}/invoices/bulk-generate`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ orderIds })
+    // Get the PDF blob - bulk generation can take a while
+    const blob = await apiClient.post('/invoices/bulk-generate', { orderIds }, {
+      responseType: 'blob',
+      timeout: 120000
     });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to generate bulk invoices');
-    }
-
-    // Get the PDF blob
-    const blob = await response.blob();
-    
-    // Create download link for PDF
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Bulk-Invoices-${new Date().toISOString().split('T')[0]}.pdf`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+    downloadBlob(blob, `Bulk-Invoices-${new Date().toISOString().split('T')[0]}.pdf`);
     
     showMessage(`${orderIds.length} invoices generated successfully!`, 'success');
     
     // Reset selection
     document.getElementById('selectAllOrders').checked = false;
-    orderIds.forEach(orderId => {
-      const checkbox = document.querySelector(`[data-order-id="${orderId}"]`);
-      if (checkbox) checkbox.checked = false;
+    selectedOrderIds.clear();
+    document.querySelectorAll('.order-select').forEach(checkbox => {
+      checkbox.checked = false;
     });
     updateSelectedCount();
     
@@ -3002,6 +4239,309 @@ async function generateBulkInvoices() {
   }
 }
 
+// ---------------------- Bulk Order Actions ----------------------
+const BULK_CONCURRENCY = 3; // orders updated at the same time
+
+// PDFs generated server-side for a batch of orders, like bulk invoices
+const BULK_DOCUMENTS = {
+  packingSlips: {
+    path: '/dashboard/orders/packing-slips',
+    label: 'packing slips',
+    filename: 'Packing-Slips',
+    permission: 'orders.view'
+  },
+  shippingLabels: {
+    path: '/dashboard/orders/shipping-labels',
+    label: 'shipping labels',
+    filename: 'Shipping-Labels',
+    permission: 'orders.status'
+  }
+};
+
+function setupBulkActions() {
+  document.getElementById('bulkStatusBtn').addEventListener('click', bulkUpdateStatus);
+  document.getElementById('bulkCancelBtn').addEventListener('click', bulkCancelOrders);
+  document.getElementById('bulkTrackingBtn').addEventListener('click', () => openPopup('bulkTrackingPopup'));
+  document.getElementById('applyBulkTrackingBtn').addEventListener('click', applyBulkTracking);
+  document.getElementById('bulkPackingSlipsBtn').addEventListener('click', () => generateBulkDocuments('packingSlips'));
+  document.getElementById('bulkLabelsBtn').addEventListener('click', () => generateBulkDocuments('shippingLabels'));
+  document.getElementById('bulkExportBtn').addEventListener('click', exportSelectedOrders);
+  document.getElementById('closeBulkProgressBtn').addEventListener('click', () => {
+    document.getElementById('bulkProgress').classList.add('hidden');
+  });
+}
+
+// Selected orders from the page on screen, in list order
+function getSelectedOrders() {
+  const orders = listViews.ordersList ? listViews.ordersList.getItems() : [];
+  return orders.filter(order => selectedOrderIds.has(order._id));
+}
+
+function getOrderLabel(order) {
+  return order.orderId || order._id;
+}
+
+// Orders store "N/A" for tracking details that were never set
+function currentOrderValue(value) {
+  return value && value !== 'N/A' ? value : '';
+}
+
+// Shared checks for every bulk action - resolves the selection or null
+function getBulkSelection(permission, maxSize = window.SELLER_LIMITS.MAX_BULK_SIZE) {
+  if (!requirePermission(permission)) return null;
+
+  const orders = getSelectedOrders();
+  if (orders.length === 0) {
+    showMessage('Please select orders first', 'warning');
+    return null;
+  }
+  if (orders.length > maxSize) {
+    showMessage(`You can act on up to ${maxSize} orders at once. Please select fewer orders.`, 'warning');
+    return null;
+  }
+  return orders;
+}
+
+/**
+ * Run task(order) for each order, a few at a time, and list every result in
+ * the progress panel. task resolves with a short note or throws.
+ * Orders that succeed are unselected so a second run only retries failures.
+ */
+async function runBulkAction(title, orders, task) {
+  const panel = document.getElementById('bulkProgress');
+  const list = document.getElementById('bulkProgressList');
+  const bar = document.getElementById('bulkProgressBar');
+  const summary = document.getElementById('bulkProgressSummary');
+
+  document.getElementById('bulkProgressTitle').textContent = `${title} - ${orders.length} orders`;
+  panel.classList.remove('hidden');
+  list.innerHTML = '';
+  bar.max = orders.length;
+  bar.value = 0;
+  summary.textContent = '';
+
+  const rows = new Map();
+  orders.forEach(order => {
+    const row = document.createElement('li');
+    row.className = 'bulk-result';
+    row.textContent = `⏳ ${getOrderLabel(order)}`;
+    list.appendChild(row);
+    rows.set(order._id, row);
+  });
+
+  const remaining = [...orders];
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (remaining.length) {
+      const order = remaining.shift();
+      const row = rows.get(order._id);
+      try {
+        const note = await task(order);
+        row.className = 'bulk-result bulk-result-success';
+        row.textContent = `✅ ${getOrderLabel(order)}${note ? ` - ${note}` : ''}`;
+        selectedOrderIds.delete(order._id);
+      } catch (error) {
+        failed++;
+        row.className = 'bulk-result bulk-result-failed';
+        row.textContent = `❌ ${getOrderLabel(order)} - ${error.message || 'Failed'}`;
+      }
+      done++;
+      bar.value = done;
+      summary.textContent = `${done} of ${orders.length} done${failed ? `, ${failed} failed` : ''}`;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, orders.length) }, worker));
+
+  showMessage(
+    failed ? `${title}: ${failed} of ${orders.length} orders failed - they are still selected` : `${title}: all ${orders.length} orders done`,
+    failed ? 'warning' : 'success'
+  );
+  requestCache.invalidate('/dashboard/stats');
+  document.getElementById('selectAllOrders').checked = false;
+  updateSelectedCount();
+  loadOrders();
+}
+
+// One order's status and tracking change, with the same rules as the details form
+function changeOrderStatus(order, { status = order.orderStatus, trackingId, courierPartner, reason = '' }) {
+  const before = {
+    status: order.orderStatus,
+    trackingId: currentOrderValue(order.trackingId),
+    courierPartner: currentOrderValue(order.courierPartner)
+  };
+  const after = {
+    status,
+    trackingId: trackingId ?? before.trackingId,
+    courierPartner: courierPartner ?? before.courierPartner
+  };
+
+  const invalid = orderLifecycle.validateTransition(before.status, status, { ...after, reason });
+  if (invalid) throw new Error(invalid);
+
+  return submitOrderChange({
+    path: `/dashboard/order/${order._id}/status`,
+    body: { ...after, ...(reason && { reason }) },
+    orderId: order._id,
+    check: {
+      before: { orderStatus: before.status, trackingId: before.trackingId, courierPartner: before.courierPartner },
+      after: { orderStatus: status, trackingId: after.trackingId, courierPartner: after.courierPartner }
+    },
+    audit: {
+      action: 'order.status',
+      entity: 'order',
+      entityId: order._id,
+      summary: `Order status set to ${status}${reason ? ` (${reason})` : ''} (bulk)`,
+      before,
+      after
+    }
+  }).then(queued => (queued ? 'queued until back online' : status));
+}
+
+async function bulkUpdateStatus() {
+  const select = document.getElementById('bulkStatusSelect');
+  const status = select.value;
+  if (!status) {
+    showMessage('Choose the status to apply', 'warning');
+    return;
+  }
+
+  const orders = getBulkSelection('orders.status');
+  if (!orders) return;
+
+  let reason = '';
+  if (orderLifecycle.getRequirements(status).includes('reason')) {
+    reason = prompt(`Reason for marking ${orders.length} orders ${status}:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      showMessage(`A reason is required to mark orders ${status}`, 'warning');
+      return;
+    }
+  }
+  if (orderLifecycle.needsConfirmation(status) && !confirm(`Mark ${orders.length} orders ${status}? This cannot be undone.`)) {
+    return;
+  }
+
+  await runBulkAction(`Set status to ${status}`, orders, order => changeOrderStatus(order, { status, reason: reason.trim() }));
+  select.value = '';
+}
+
+async function bulkCancelOrders() {
+  const orders = getBulkSelection('orders.status');
+  if (!orders) return;
+
+  const reason = prompt(`Cancel ${orders.length} orders? This cannot be undone.\n\nReason for cancelling:`);
+  if (reason === null) return;
+  if (!reason.trim()) {
+    showMessage('A reason is required to cancel orders', 'warning');
+    return;
+  }
+
+  await runBulkAction('Cancel orders', orders, order => changeOrderStatus(order, { status: 'Canceled', reason: reason.trim() }));
+}
+
+/**
+ * Courier and tracking IDs pasted from a spreadsheet, one order per row:
+ * Order ID, Courier partner, Tracking ID. Only selected orders are updated.
+ */
+async function applyBulkTracking() {
+  const orders = getBulkSelection('orders.status');
+  if (!orders) return;
+
+  const rows = csv.parse(document.getElementById('bulkTrackingInput').value);
+  if (rows.length && /order/i.test(rows[0][0])) rows.shift(); // header row
+
+  // Rows may use the friendly order ID or the database ID
+  const selected = new Map();
+  orders.forEach(order => {
+    selected.set(order._id, order);
+    if (order.orderId) selected.set(String(order.orderId), order);
+  });
+
+  const assignments = new Map();
+  const unmatched = [];
+  rows.forEach(([id, courierPartner = '', trackingId = '']) => {
+    const order = selected.get(id);
+    if (order) assignments.set(order._id, { courierPartner, trackingId });
+    else unmatched.push(id);
+  });
+
+  if (assignments.size === 0) {
+    showMessage('No rows match the selected orders. Put the Order ID in the first column.', 'warning');
+    return;
+  }
+  if (unmatched.length) {
+    const sample = unmatched.slice(0, 5).join(', ');
+    showMessage(`Skipped ${unmatched.length} rows for orders that are not selected: ${sample}${unmatched.length > 5 ? '…' : ''}`, 'warning');
+  }
+
+  const markShipped = document.getElementById('bulkTrackingShip').checked;
+  closePopup('bulkTrackingPopup');
+
+  await runBulkAction('Assign courier & tracking', orders.filter(order => assignments.has(order._id)), order => {
+    const { courierPartner, trackingId } = assignments.get(order._id);
+    if (!courierPartner || !trackingId) {
+      throw new Error('Both courier partner and tracking ID are needed');
+    }
+    const status = markShipped && orderLifecycle.getNextStatuses(order.orderStatus).includes('Shipped')
+      ? 'Shipped'
+      : order.orderStatus;
+    return changeOrderStatus(order, { status, trackingId, courierPartner });
+  });
+  document.getElementById('bulkTrackingInput').value = '';
+}
+
+async function generateBulkDocuments(kind) {
+  const documentType = BULK_DOCUMENTS[kind];
+  const orders = getBulkSelection(documentType.permission);
+  if (!orders) return;
+
+  try {
+    showMessage(`Generating ${documentType.label} for ${orders.length} orders...`, 'info');
+
+    // One PDF for the whole batch - this can take a while
+    const blob = await apiClient.post(documentType.path, { orderIds: orders.map(order => order._id) }, {
+      responseType: 'blob',
+      timeout: 120000
+    });
+    downloadBlob(blob, `${documentType.filename}-${new Date().toISOString().split('T')[0]}.pdf`);
+
+    showMessage(`${orders.length} ${documentType.label} generated successfully!`, 'success');
+  } catch (error) {
+    handleApiError(error, `Failed to generate ${documentType.label}`);
+  }
+}
+
+// Spreadsheet of the selected orders, built from the list already loaded
+function exportSelectedOrders() {
+  const orders = getBulkSelection('orders.view', Infinity);
+  if (!orders) return;
+
+  const rows = [
+    ['Order ID', 'Mongo Object ID', 'Placed On', 'Customer', 'Email', 'Phone', 'Status', 'Payment Status',
+      'Payment Method', 'Final Payable', 'Courier Partner', 'Tracking ID'],
+    ...orders.map(order => [
+      order.orderId,
+      order._id,
+      new Date(order.createdAt).toISOString(),
+      order.userName,
+      order.userEmail,
+      order.userPhone,
+      order.orderStatus,
+      order.paymentStatus,
+      order.paymentMethod,
+      order.finalTotal,
+      currentOrderValue(order.courierPartner),
+      currentOrderValue(order.trackingId)
+    ])
+  ];
+
+  // The BOM makes Excel read ₹ and names as UTF-8
+  const blob = new Blob(['\ufeff', csv.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `orders-${new Date().toISOString().split('T')[0]}.csv`);
+}
+
 /**
  * Semi-Automated Mail Service Functions
  */
@@ -3037,21 +4577,7 @@ async function validateTemplate() {
     formData.append('template', templateFile);
     
     // Call API to validate template
-    const token = localStorage.getItem('sellerAuthToken');
-    const response = await fetch(`${getAPIURL()}/emails/validate-template`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`
-      },
-      body: formData
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Template validation failed');
-    }
-    
-    const result = await response.json();
+    const result = await apiClient.post('/emails/validate-template', formData);
     
     if (result.valid) {
       // Store the validated template
@@ -3143,18 +4669,7 @@ function backToStep1() {
  */
 async function loadUsersForSelection() {
   try {
-    const token = localStorage.getItem('sellerAuthToken');
-    const response = await fetch(`${getAPIURL()}/emails/users`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to load users');
-    }
-    
-    const data = await response.json();
+    const data = await apiClient.get('/emails/users');
     allUsers = data.users || [];
     
     // Display users in the selection list
@@ -3263,6 +4778,8 @@ function updateSendButtonState() {
  * Send custom emails to selected recipients - FIXED: Now progresses to step 3
  */
 async function sendCustomEmails() {
+  if (!requirePermission('mail.send')) return;
+  if (!requireFeature('MAIL_SERVICE')) return;
   try {
     // Show progress and hide step 2
     document.getElementById('step2').style.display = 'none';
@@ -3282,6 +4799,10 @@ async function sendCustomEmails() {
     // Step 3: Merge and deduplicate emails
     const allRecipientEmails = [...new Set([...selectedUserEmails, ...manualEmails])];
     if (allRecipientEmails.length === 0) throw new Error('No valid email addresses provided');
+    const maxRecipients = window.SELLER_LIMITS.MAX_EMAIL_RECIPIENTS;
+    if (allRecipientEmails.length > maxRecipients) {
+      throw new Error(`You can email up to ${maxRecipients} recipients at once. Please remove ${allRecipientEmails.length - maxRecipients}.`);
+    }
 
     // Step 4: Collect template variables
     const variableInputs = document.querySelectorAll('.template-variable');
@@ -3298,26 +4819,34 @@ async function sendCustomEmails() {
       variables
     };
 
-    // Step 6: Send request
-    const token = localStorage.getItem('sellerAuthToken');
-    const response = await fetch(`${getAPIURL()}/emails/send-custom`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestData)
-    });
-
-    const result = await response.json();
+    // Step 6: Send request - a failed send still reports per-recipient stats.
+    // Recipient addresses stay out of the audit trail - the count is enough;
+    // the server adds how many were delivered.
+    let result;
+    let sendError = null;
+    try {
+      result = await apiClient.post('/emails/send-custom', requestData, {
+        timeout: 120000,
+        audit: {
+          action: 'email.send',
+          entity: 'email',
+          summary: `Sent "${currentTemplate?.subject || 'custom email'}" to ${allRecipientEmails.length} recipients`,
+          after: { subject: currentTemplate?.subject, recipients: allRecipientEmails.length }
+        }
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      result = error.data || {};
+      sendError = error.message || 'Failed to send emails';
+    }
 
     // Step 7: Display results in step 3
     displaySendingResults({
-      success: response.ok,
-      successCount: result.stats?.successful || 0,
-      failureCount: result.stats?.failed || 0,
-      totalCount: result.stats?.total || allRecipientEmails.length,
-      error: response.ok ? null : result.message || 'Failed to send emails'
+      success: !sendError,
+      successCount: result?.stats?.successful || 0,
+      failureCount: result?.stats?.failed || 0,
+      totalCount: result?.stats?.total || allRecipientEmails.length,
+      error: sendError
     });
 
   } catch (error) {
@@ -1,6 +1,6 @@
 // ✅ seller.js - Production Ready Version
 
-// Global Configuration - uses dynamic getAPIURL() from config.new.js
+// Global Configuration - requests go through apiClient (assets/utils/api.js), which resolves the backend via config.new.js
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY = 1000; // 1 second
 
@@ -9,17 +9,15 @@ const sessionState = {
     otpVerified: false,
     tempSellerLogin: null,
     loginOtpVerified: false,
-    retryCount: 0,
-    lastAttempt: null,
     resetEmail: null,
-    forgotOtpVerified: false
+    resetToken: null, // issued by forgot-password OTP verification
+    loginFactor: 'email', // 'email' | 'totp' | 'backup'
+    otp: {} // per-flow OTP throttling state, persisted across reloads
 };
 
 // Enhanced Notification System
 function showMessage(message, type = 'info', title = '') {
-    if (window.notifications) {
-        window.notifications.show(message, type);
-    } else if (window.toastr) {
+    if (window.toastr) {
         const toastConfig = {
             closeButton: true,
             progressBar: true,
@@ -46,6 +44,19 @@ function validatePhone(phone) {
   return re.test(phone);
 }
 
+// Login-page calls are anonymous. Resolves { ok, status, data } so each flow
+// keeps its own success and failure branches; network errors and timeouts
+// reject and land in the caller's catch.
+async function postPublic(path, body) {
+  try {
+    const data = await apiClient.post(path, body, { auth: false });
+    return { ok: true, status: 200, data: data || {} };
+  } catch (error) {
+    if (!error.status) throw error;
+    return { ok: false, status: error.status, data: error.data || {} };
+  }
+}
+
 function handleApiError(error, defaultMessage) {
   console.error('API Error:', error);
   if (error.message) {
@@ -55,8 +66,278 @@ function handleApiError(error, defaultMessage) {
   }
 }
 
+// ==============================
+// ✅ OTP Throttling
+// ==============================
+// Resend cooldowns, expiry and verify lockouts are tracked per flow and email
+// in localStorage so a reload does not reset them, and a different address
+// starts fresh. The server still enforces its own limits; this keeps honest
+// sellers from tripping them.
+
+const OTP_STATE_KEY = 'sellerOtpState';
+const OTP_SEND_WINDOW = 60 * 60 * 1000; // resend backoff resets after an hour without sends
+
+const OTP_FLOWS = {
+  signup: { email: 'signupEmail', sendBtn: 'signupSendOtpBtn', verifyBtn: 'signupVerifyOtpBtn', status: 'signupOtpStatus', section: 'otpVerifySection' },
+  login: { email: 'loginEmailOrPhone', sendBtn: 'loginSendOtpBtn', verifyBtn: 'loginVerifyOtpBtn', status: 'loginOtpStatus' },
+  // Attempts left are not shown - they differ between registered and unknown emails
+  forgot: { email: 'forgotEmail', sendBtn: 'forgotResendOtpBtn', verifyBtn: 'forgotVerifyOtpBtn', status: 'forgotOtpStatus', hideAttempts: true }
+};
+
+// Answers that reject the code itself; only these count towards the lockout.
+// A server error says nothing about whether the code was right.
+const OTP_REJECTED_STATUSES = [400, 401, 422, 429];
+
+const otpSending = {};
+
+function getOtpLimits() {
+  const limits = window.SELLER_LIMITS || {};
+  return {
+    resendCooldown: limits.OTP_RESEND_COOLDOWN || 30 * 1000,
+    maxCooldown: limits.OTP_MAX_COOLDOWN || 10 * 60 * 1000,
+    expiry: limits.OTP_EXPIRY || 10 * 60 * 1000,
+    maxVerifyAttempts: limits.OTP_MAX_VERIFY_ATTEMPTS || 5,
+    lockoutDuration: limits.OTP_LOCKOUT_DURATION || 15 * 60 * 1000
+  };
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// Throttle state belongs to the address currently entered for the flow.
+// Case and spaces are ignored (the login field also takes phone numbers, often
+// typed with spaces), so retyping the same address does not reset a lockout.
+function getOtpKey(flow) {
+  const emailInput = document.getElementById(OTP_FLOWS[flow].email);
+  const email = emailInput ? emailInput.value.replace(/\s+/g, '').toLowerCase() : '';
+  return `${flow}:${email}`;
+}
+
+function getOtpFlow(flow) {
+  return sessionState.otp[getOtpKey(flow)] || {
+    email: null,
+    sendCount: 0,
+    lastSentAt: 0,
+    cooldownUntil: 0,
+    expiresAt: 0,
+    failedAttempts: 0,
+    lockedUntil: 0
+  };
+}
+
+function updateOtpFlow(flow, changes) {
+  sessionState.otp[getOtpKey(flow)] = { ...getOtpFlow(flow), ...changes };
+  localStorage.setItem(OTP_STATE_KEY, JSON.stringify(sessionState.otp));
+  renderOtpStatus(flow);
+}
+
+function clearOtpFlow(flow) {
+  delete sessionState.otp[getOtpKey(flow)];
+  localStorage.setItem(OTP_STATE_KEY, JSON.stringify(sessionState.otp));
+  renderOtpStatus(flow);
+}
+
+// Returns a message when a new OTP may not be requested yet
+function checkOtpSend(flow) {
+  const state = getOtpFlow(flow);
+  const now = Date.now();
+
+  if (state.lockedUntil > now) {
+    return `Too many failed attempts. Try again in ${formatDuration(state.lockedUntil - now)}.`;
+  }
+  if (state.cooldownUntil > now) {
+    return `Please wait ${formatDuration(state.cooldownUntil - now)} before requesting another OTP.`;
+  }
+  return null;
+}
+
+function recordOtpSent(flow, email, data = {}) {
+  const limits = getOtpLimits();
+  const state = getOtpFlow(flow);
+  const now = Date.now();
+
+  // Each send doubles the wait before the next one
+  const sendCount = now - state.lastSentAt > OTP_SEND_WINDOW ? 1 : state.sendCount + 1;
+  const cooldown = Math.min(limits.resendCooldown * 2 ** (sendCount - 1), limits.maxCooldown);
+
+  let expiresAt = now + limits.expiry;
+  if (data.expiresAt) {
+    expiresAt = new Date(data.expiresAt).getTime();
+  } else if (data.expiresIn) {
+    expiresAt = now + Number(data.expiresIn) * 1000;
+  }
+
+  updateOtpFlow(flow, {
+    email,
+    sendCount,
+    lastSentAt: now,
+    cooldownUntil: now + cooldown,
+    expiresAt
+  });
+}
+
+// The server refused to send (429) - respect its Retry-After if given
+function recordOtpRateLimited(flow, data = {}) {
+  const retryAfter = Number(data.retryAfter) * 1000 || getOtpLimits().maxCooldown;
+  updateOtpFlow(flow, { cooldownUntil: Date.now() + retryAfter });
+}
+
+// Returns a message when the entered OTP should not be sent for verification.
+// Authenticator and backup codes share the lockout but have no expiry here.
+function checkOtpVerify(flow, checkExpiry = true) {
+  const state = getOtpFlow(flow);
+  const now = Date.now();
+
+  if (state.lockedUntil > now) {
+    return `Too many failed attempts. Try again in ${formatDuration(state.lockedUntil - now)}.`;
+  }
+  if (checkExpiry && state.expiresAt && state.expiresAt <= now) {
+    return "This OTP has expired. Please request a new one.";
+  }
+  return null;
+}
+
+function isOtpRejected(status) {
+  return OTP_REJECTED_STATUSES.includes(status);
+}
+
+// Message for a verify call that failed without judging the code
+function getOtpVerifyError(status, data = {}) {
+  if (status >= 500) return "Server error. Please try again later.";
+  return data.message || "Could not verify the code. Please try again.";
+}
+
+// Count a rejected OTP and return a hint about the attempts left
+function recordOtpFailure(flow, status, data = {}) {
+  const limits = getOtpLimits();
+  const state = getOtpFlow(flow);
+  const failedAttempts = state.failedAttempts + 1;
+
+  if (status === 429 || failedAttempts >= limits.maxVerifyAttempts) {
+    const lockout = Number(data.retryAfter) * 1000 || limits.lockoutDuration;
+    // A locked-out code is dead; the seller must request a new one afterwards
+    updateOtpFlow(flow, {
+      failedAttempts: 0,
+      expiresAt: 0,
+      cooldownUntil: 0,
+      lockedUntil: Date.now() + lockout
+    });
+    return `Too many failed attempts. Try again in ${formatDuration(lockout)}.`;
+  }
+
+  updateOtpFlow(flow, { failedAttempts });
+  const attemptsLeft = limits.maxVerifyAttempts - failedAttempts;
+  return `${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`;
+}
+
+function setOtpSending(flow, sending) {
+  otpSending[flow] = sending;
+  renderOtpStatus(flow);
+}
+
+function renderOtpStatus(flow) {
+  const ids = OTP_FLOWS[flow];
+  const sendBtn = document.getElementById(ids.sendBtn);
+  const verifyBtn = document.getElementById(ids.verifyBtn);
+  const statusEl = document.getElementById(ids.status);
+  if (!sendBtn) return;
+
+  const state = getOtpFlow(flow);
+  const now = Date.now();
+  const locked = state.lockedUntil > now;
+  const coolingDown = state.cooldownUntil > now;
+
+  // Remember the original label (with its icon) the first time round
+  if (!sendBtn.dataset.label) {
+    sendBtn.dataset.label = sendBtn.innerHTML;
+  }
+
+  sendBtn.disabled = !!otpSending[flow] || locked || coolingDown;
+  if (otpSending[flow]) {
+    sendBtn.textContent = "Sending...";
+  } else if (coolingDown && !locked) {
+    sendBtn.textContent = `Resend OTP in ${formatDuration(state.cooldownUntil - now)}`;
+  } else if (state.sendCount > 0) {
+    sendBtn.textContent = "Resend OTP";
+  } else {
+    sendBtn.innerHTML = sendBtn.dataset.label;
+  }
+
+  if (verifyBtn) {
+    verifyBtn.disabled = locked;
+  }
+
+  if (!statusEl) return;
+
+  let message = '';
+  let isError = false;
+  if (locked) {
+    message = `Too many failed attempts. Try again in ${formatDuration(state.lockedUntil - now)}.`;
+    isError = true;
+  } else if (state.expiresAt > now) {
+    message = `OTP expires in ${formatDuration(state.expiresAt - now)}.`;
+    if (state.failedAttempts > 0 && !ids.hideAttempts) {
+      const attemptsLeft = getOtpLimits().maxVerifyAttempts - state.failedAttempts;
+      message += ` ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`;
+    }
+  } else if (state.expiresAt) {
+    message = "OTP expired. Please request a new one.";
+    isError = true;
+  }
+
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', isError);
+}
+
+// Restore throttling state after a reload and keep the countdowns ticking
+function initOtpState() {
+  try {
+    sessionState.otp = JSON.parse(localStorage.getItem(OTP_STATE_KEY)) || {};
+  } catch (e) {
+    sessionState.otp = {};
+  }
+
+  const now = Date.now();
+  Object.entries(sessionState.otp).forEach(([key, state]) => {
+    // Keys are "flow:email"; anything else is from an older version
+    const flow = key.slice(0, key.indexOf(':'));
+    const active = state.lockedUntil > now || state.cooldownUntil > now || state.expiresAt > now;
+    if (!OTP_FLOWS[flow] || (!active && now - state.lastSentAt > OTP_SEND_WINDOW)) {
+      delete sessionState.otp[key];
+      return;
+    }
+
+    // A code that is still valid brings its address back and can be
+    // entered straight away
+    const ids = OTP_FLOWS[flow];
+    const emailInput = document.getElementById(ids.email);
+    if (!emailInput || emailInput.value || !(state.expiresAt > now)) return;
+    emailInput.value = state.email;
+
+    if (ids.section) {
+      document.getElementById(ids.section).classList.remove("hidden");
+    }
+    if (flow === 'forgot') {
+      sessionState.resetEmail = state.email;
+      showForgotStep('verify');
+    }
+  });
+  localStorage.setItem(OTP_STATE_KEY, JSON.stringify(sessionState.otp));
+
+  const renderAll = () => Object.keys(OTP_FLOWS).forEach(renderOtpStatus);
+  renderAll();
+  setInterval(renderAll, 1000);
+}
+
+document.addEventListener('DOMContentLoaded', initOtpState);
+
 // Send OTP for Signup
-async function sendSellerOTP(event) {
+async function sendSellerOTP() {
   const email = document.getElementById("signupEmail").value.trim();
 
   if (!email) {
@@ -69,36 +350,30 @@ async function sendSellerOTP(event) {
     return;
   }
 
-  const button = event.target;
-  const originalText = button.textContent;
-  button.disabled = true;
-  button.textContent = "Sending...";
+  const blocked = checkOtpSend('signup');
+  if (blocked) {
+    showMessage(blocked, 'warning');
+    return;
+  }
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/send-otp-email`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ email })
-    });
+  setOtpSending('signup', true);
 
-    const data = await res.json();
+  try {
+    const res = await postPublic('/sellers/send-otp-email', { email });
+    const data = res.data;
 
     if (res.ok) {
+      recordOtpSent('signup', email, data);
       showMessage(data.message || "OTP sent successfully!", 'success');
       document.getElementById("otpVerifySection").classList.remove("hidden");
     } else {
+      if (res.status === 429) recordOtpRateLimited('signup', data);
       showMessage(data.message || "Failed to send OTP", 'error');
     }
   } catch (err) {
     handleApiError(err, "Network error. Please check your connection and try again.");
   } finally {
-    setTimeout(() => {
-      button.disabled = false;
-      button.textContent = originalText;
-    }, 10000);
+    setOtpSending('signup', false);
   }
 }
 
@@ -122,19 +397,18 @@ async function verifySellerOTP() {
     return;
   }
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/verify-otp`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ email, otp })
-    });
+  const blocked = checkOtpVerify('signup');
+  if (blocked) {
+    showMessage(blocked, 'error');
+    return;
+  }
 
-    const data = await res.json();
+  try {
+    const res = await postPublic('/sellers/verify-otp', { email, otp });
+    const data = res.data;
 
     if (res.ok) {
+      clearOtpFlow('signup');
       showMessage("OTP Verified! You can now complete signup.", 'success');
       sessionState.otpVerified = true;
       // Enable signup button if it exists
@@ -143,8 +417,11 @@ async function verifySellerOTP() {
         signupBtn.disabled = false;
         signupBtn.style.opacity = '1';
       }
+    } else if (isOtpRejected(res.status)) {
+      const hint = recordOtpFailure('signup', res.status, data);
+      showMessage(`${data.message || "Invalid OTP."} ${hint}`, 'error');
     } else {
-      showMessage(data.message || "Invalid OTP. Please try again.", 'error');
+      showMessage(getOtpVerifyError(res.status, data), 'error');
     }
   } catch (err) {
     handleApiError(err, "Network error occurred while verifying OTP.");
@@ -181,8 +458,9 @@ async function submitSellerSignup() {
     return;
   }
 
-  if (password.length < 8) {
-    showMessage("Password must be at least 8 characters long", 'error');
+  const passwordCheck = passwordPolicy.evaluate(password, { email, name, vendorName });
+  if (!passwordCheck.valid) {
+    showMessage(passwordCheck.errors[0], 'error');
     return;
   }
 
@@ -202,16 +480,8 @@ async function submitSellerSignup() {
   }
 
   try {
-    const res = await fetch(`${getAPIURL()}/sellers/signup`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ name, email, phone, vendorName, password })
-    });
-
-    const data = await res.json();
+    const res = await postPublic('/sellers/signup', { name, email, phone, vendorName, password });
+    const data = res.data;
 
     if (res.ok) {
       showMessage("Signup successful! You can now login.", 'success');
@@ -262,27 +532,30 @@ async function handleSellerLogin() {
   }
 
   try {
-    const res = await fetch(`${getAPIURL()}/sellers/login`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ emailOrPhone, password })
-    });
-
-    const data = await res.json();
+    const res = await postPublic('/sellers/login', { emailOrPhone, password });
+    const data = res.data;
 
     if (res.ok) {
       // Store login data temporarily until OTP verification
       sessionState.tempSellerLogin = data;
       document.getElementById("loginOtpSection").classList.remove("hidden");
-      showMessage("Credentials verified. Please check your email for OTP.", 'success');
-      
-      // Auto-send OTP after successful login
-      setTimeout(() => {
-        sendLoginOTP();
-      }, 1000);
+
+      // Sellers with an authenticator app may still fall back to email
+      const totpEnabled = !!(data.seller?.totpEnabled || data.totpEnabled);
+      document.getElementById("loginFactorChoice").classList.toggle("hidden", !totpEnabled);
+
+      if (totpEnabled) {
+        showMessage("Credentials verified. Enter the code from your authenticator app.", 'success');
+        selectLoginFactor('totp');
+      } else {
+        showMessage("Credentials verified. Please check your email for OTP.", 'success');
+        selectLoginFactor('email', false);
+
+        // Auto-send OTP after successful login
+        setTimeout(() => {
+          sendLoginOTP();
+        }, 1000);
+      }
     } else {
       showMessage(data.message || "Invalid credentials. Please try again.", 'error');
     }
@@ -291,48 +564,66 @@ async function handleSellerLogin() {
   }
 }
 
+// Switch the second factor used by verifyLoginOTP
+function selectLoginFactor(factor, sendEmailOtp = true) {
+  sessionState.loginFactor = factor;
+
+  const radio = document.querySelector(`input[name="loginFactor"][value="${factor}"]`);
+  if (radio) radio.checked = true;
+
+  const placeholders = {
+    email: "Enter OTP",
+    totp: "6-digit code from your authenticator app",
+    backup: "Enter a backup code"
+  };
+  const otpInput = document.getElementById("loginOtp");
+  otpInput.value = '';
+  otpInput.placeholder = placeholders[factor];
+
+  // Only the email OTP can be (re)sent or expire
+  const isEmail = factor === 'email';
+  document.getElementById("loginSendOtpBtn").classList.toggle("hidden", !isEmail);
+  document.getElementById("loginOtpStatus").classList.toggle("hidden", !isEmail);
+
+  // Falling back to email sends a code unless one is still valid
+  if (isEmail && sendEmailOtp && getOtpFlow('login').expiresAt <= Date.now()) {
+    sendLoginOTP();
+  }
+}
+
 // Send OTP for Login
-async function sendLoginOTP(event) {
+async function sendLoginOTP() {
   const emailOrPhone = document.getElementById("loginEmailOrPhone").value.trim();
   if (!emailOrPhone) {
     showMessage("Please enter email/phone first.", 'error');
     return;
   }
 
-  const loginButton = event ? event.target : null;
-  const originalText = loginButton ? loginButton.textContent : "Send OTP";
-  
-  if (loginButton) {
-    loginButton.disabled = true;
-    loginButton.textContent = "Sending...";
+  // Also reached automatically after a password check - an OTP that is
+  // still cooling down is left alone rather than re-sent
+  const blocked = checkOtpSend('login');
+  if (blocked) {
+    showMessage(blocked, 'warning');
+    return;
   }
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/send-otp-email`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ email: emailOrPhone })
-    });
+  setOtpSending('login', true);
 
-    const data = await res.json();
+  try {
+    const res = await postPublic('/sellers/send-otp-email', { email: emailOrPhone });
+    const data = res.data;
     
     if (res.ok) {
+      recordOtpSent('login', emailOrPhone, data);
       showMessage(data.message || "OTP sent successfully!", 'success');
     } else {
+      if (res.status === 429) recordOtpRateLimited('login', data);
       showMessage(data.message || "Failed to send OTP", 'error');
     }
   } catch (err) {
     handleApiError(err, "Network error occurred while sending OTP.");
   } finally {
-    if (loginButton) {
-      setTimeout(() => {
-        loginButton.disabled = false;
-        loginButton.textContent = originalText;
-      }, 10000);
-    }
+    setOtpSending('login', false);
   }
 }
 
@@ -340,14 +631,20 @@ async function sendLoginOTP(event) {
 async function verifyLoginOTP() {
   const email = document.getElementById("loginEmailOrPhone").value.trim();
   const otp = document.getElementById("loginOtp").value.trim();
+  const factor = sessionState.loginFactor;
 
   if (!email || !otp) {
     showMessage("Please enter both email and OTP", 'error');
     return;
   }
 
-  if (otp.length !== 6 || !/^\d+$/.test(otp)) {
-    showMessage("Please enter a valid 6-digit OTP", 'error');
+  if (factor === 'backup') {
+    if (!/^[A-Za-z0-9-]{8,12}$/.test(otp)) {
+      showMessage("Please enter a valid backup code", 'error');
+      return;
+    }
+  } else if (otp.length !== 6 || !/^\d+$/.test(otp)) {
+    showMessage("Please enter a valid 6-digit code", 'error');
     return;
   }
 
@@ -356,137 +653,354 @@ async function verifyLoginOTP() {
     return;
   }
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/verify-otp`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({ email, otp })
-    });
+  const blocked = checkOtpVerify('login', factor === 'email');
+  if (blocked) {
+    showMessage(blocked, 'error');
+    return;
+  }
 
-    const data = await res.json();
+  // Authenticator and backup codes are checked against the pending password login
+  let endpoint = '/sellers/verify-otp';
+  let body = { email, otp };
+  if (factor === 'totp') {
+    endpoint = '/sellers/totp/login';
+    body = { emailOrPhone: email, code: otp, loginToken: sessionState.tempSellerLogin.loginToken };
+  } else if (factor === 'backup') {
+    endpoint = '/sellers/totp/login';
+    body = { emailOrPhone: email, backupCode: otp, loginToken: sessionState.tempSellerLogin.loginToken };
+  }
+
+  try {
+    const res = await postPublic(endpoint, body);
+    const data = res.data;
 
     if (res.ok) {
-      showMessage("Login successful! Redirecting to dashboard...", 'success');
-      
-      // Store authentication token
-      localStorage.setItem("sellerAuthToken", data.token);    // use token from OTP verification response
-
-      // Store seller info for dashboard use
-      localStorage.setItem("sellerInfo", JSON.stringify({
-        id: sessionState.tempSellerLogin.seller.id,
-        name: sessionState.tempSellerLogin.seller.name,
-        email: sessionState.tempSellerLogin.seller.email,
-        vendorName: sessionState.tempSellerLogin.seller.vendorName
-      }));
-      
-      // Clear temporary data
-      sessionState.tempSellerLogin = null;
-      sessionState.loginOtpVerified = false;
-      
-      // Clear form
-      document.getElementById("loginEmailOrPhone").value = '';
-      document.getElementById("loginPassword").value = '';
-      document.getElementById("loginOtp").value = '';
-      
-      // Redirect to dashboard
-      setTimeout(() => {
-        window.location.href = "index.html";
-      }, 1500);
+      clearOtpFlow('login');
+
+      if (factor === 'backup' && data.backupCodesRemaining !== undefined && data.backupCodesRemaining <= 3) {
+        showMessage(`Only ${data.backupCodesRemaining} backup code(s) left. Generate new ones from the dashboard.`, 'warning');
+      }
+
+      // Password + OTP sellers are offered a passkey once they reach the dashboard
+      if (passkeys.isSupported()) {
+        sessionStorage.setItem('offerPasskeySetup', 'true');
+      }
+
+      startSellerSession(data, sessionState.tempSellerLogin.seller);
+    } else if (isOtpRejected(res.status)) {
+      const hint = recordOtpFailure('login', res.status, data);
+      showMessage(`${data.message || (factor === 'email' ? "Invalid OTP." : "Invalid code.")} ${hint}`, 'error');
     } else {
-      showMessage(data.message || "Invalid OTP. Please try again.", 'error');
+      showMessage(getOtpVerifyError(res.status, data), 'error');
     }
   } catch (err) {
     handleApiError(err, "Network error occurred while verifying OTP.");
   }
 }
+// Store the session returned by OTP or passkey verification and go to the dashboard
+function startSellerSession(data, seller) {
+  showMessage("Login successful! Redirecting to dashboard...", 'success');
+
+  // Persist the full token set so the dashboard can refresh it before expiry
+  authManager.setSession({
+    token: data.token,
+    refreshToken: data.refreshToken,
+    expiresIn: data.expiresIn,
+    sellerInfo: {
+      id: seller.id,
+      name: seller.name,
+      email: seller.email,
+      vendorName: seller.vendorName,
+      // Staff accounts; the shop owner has no role
+      role: seller.role,
+      permissions: seller.permissions
+    }
+  });
+
+  // Clear temporary data
+  sessionState.tempSellerLogin = null;
+  sessionState.loginOtpVerified = false;
+
+  // Clear form
+  document.getElementById("loginEmailOrPhone").value = '';
+  document.getElementById("loginPassword").value = '';
+  document.getElementById("loginOtp").value = '';
+
+  // Redirect to dashboard
+  setTimeout(() => {
+    window.location.href = "index.html";
+  }, 1500);
+}
+
+// Passkey Login - alternative to password + OTP
+async function loginWithPasskey() {
+  const emailOrPhone = document.getElementById("loginEmailOrPhone").value.trim();
+  const button = document.getElementById("passkeyLoginBtn");
+  button.disabled = true;
+
+  try {
+    const data = await passkeys.authenticate(emailOrPhone);
+    if (!data || !data.token || !data.seller) {
+      showMessage("Passkey sign-in failed. Please use your password instead.", 'error');
+      return;
+    }
+    startSellerSession(data, data.seller);
+  } catch (err) {
+    if (err instanceof ApiError) {
+      handleApiError(err, "Passkey sign-in failed. Please try again.");
+    } else {
+      console.error('Passkey Error:', err);
+      showMessage(passkeys.errorMessage(err), 'error');
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Only offer passkey sign-in where the browser supports it
+document.addEventListener('DOMContentLoaded', () => {
+  if (passkeys.isSupported()) {
+    document.getElementById("passkeyLoginSection").classList.remove("hidden");
+  }
+});
+
+// Live password strength feedback
+document.addEventListener('DOMContentLoaded', () => {
+  passwordPolicy.attachMeter(
+    document.getElementById("signupPassword"),
+    document.getElementById("signupPasswordMeter"),
+    () => ({
+      email: document.getElementById("signupEmail").value.trim(),
+      name: document.getElementById("signupName").value.trim(),
+      vendorName: document.getElementById("signupVendorName").value.trim()
+    })
+  );
+  passwordPolicy.attachMeter(
+    document.getElementById("forgotNewPassword"),
+    document.getElementById("forgotPasswordMeter"),
+    () => ({ email: sessionState.resetEmail })
+  );
+});
+
 // ==============================
-// ✅ Forgot Password Flow
+// ✅ Forgot Password Wizard
 // ==============================
+// Email -> OTP -> new password. Verifying the OTP returns a short-lived
+// reset token, and only that token authorises the final reset call.
+
+const FORGOT_STEPS = {
+  email: 'forgotEmailStep',
+  verify: 'forgotOtpSection',
+  reset: 'resetPasswordSection'
+};
+
+function showForgotStep(step) {
+  const order = Object.keys(FORGOT_STEPS);
+  Object.entries(FORGOT_STEPS).forEach(([name, id]) => {
+    document.getElementById(id).classList.toggle("hidden", name !== step);
+  });
+  document.querySelectorAll("#forgotPasswordTab .wizard-steps li").forEach(item => {
+    item.classList.toggle("active", item.dataset.step === step);
+    item.classList.toggle("done", order.indexOf(item.dataset.step) < order.indexOf(step));
+  });
+
+  if (step === 'email') {
+    sessionState.resetToken = null;
+  }
+  if (step === 'verify') {
+    document.getElementById("forgotEmailLabel").textContent = sessionState.resetEmail || '';
+  }
+
+  ['forgotEmailError', 'forgotOtpError', 'forgotPasswordError', 'forgotConfirmError'].forEach(id => setFieldError(id, ''));
+}
+
+function setFieldError(id, message) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = message || '';
+}
+
+// Shown whether or not the email has an account, so the form cannot be used
+// to find out which addresses are registered
+const FORGOT_OTP_SENT_MESSAGE = "If an account exists for this email, we've sent a code to it.";
+const FORGOT_OTP_INVALID_MESSAGE = "That code is not valid. Check the email and code, or request a new one.";
+
+// Turn a failed forgot-password response into something the seller can act on.
+// A 404 gets the generic fallback for the same reason as above.
+function getForgotPasswordError(status, data, fallback) {
+  if (status === 404) return fallback;
+  if (status === 429) return data.message || "Too many attempts. Please wait a moment and try again.";
+  if (status >= 500) return "Server error. Please try again later.";
+  return data.message || fallback;
+}
+
+function resetForgotPasswordWizard() {
+  sessionState.resetEmail = null;
+  sessionState.resetToken = null;
+  ['forgotEmail', 'forgotOtp', 'forgotNewPassword', 'forgotConfirmPassword'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  // Hide the strength meter again
+  document.getElementById("forgotNewPassword").dispatchEvent(new Event('input'));
+  showForgotStep('email');
+}
 
 // Step 1: Send OTP to email
-async function sendForgotOtp(event) {
+async function sendForgotOtp() {
   const email = document.getElementById("forgotEmail").value.trim();
-  if (!email) return alert("Enter your registered email");
+  setFieldError('forgotEmailError', '');
 
-  const forgotButton = event.target;
-  forgotButton.disabled = true;
-  forgotButton.textContent = "Sending...";
+  if (!email) {
+    setFieldError('forgotEmailError', "Enter your registered email");
+    return;
+  }
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/forgot-password`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email })
-    });
+  if (!validateEmail(email)) {
+    setFieldError('forgotEmailError', "Please enter a valid email address");
+    return;
+  }
 
-    const data = await res.json();
-    alert(data.message);
+  const blocked = checkOtpSend('forgot');
+  if (blocked) {
+    showMessage(blocked, 'warning');
+    return;
+  }
 
-    if (res.ok) {
+  setOtpSending('forgot', true);
+
+  try {
+    const res = await postPublic('/sellers/forgot-password', { email });
+    const data = res.data;
+
+    if (res.ok || res.status === 404) {
+      recordOtpSent('forgot', email, data);
       sessionState.resetEmail = email;
-      document.getElementById("forgotOtpSection").classList.remove("hidden");
+      showMessage(FORGOT_OTP_SENT_MESSAGE, 'success');
+      showForgotStep('verify');
+    } else {
+      if (res.status === 429) recordOtpRateLimited('forgot', data);
+      const message = getForgotPasswordError(res.status, data, "Failed to send OTP");
+      setFieldError('forgotEmailError', message);
+      showMessage(message, 'error');
     }
   } catch (err) {
-    alert("Failed to send OTP");
+    handleApiError(err, "Network error occurred while sending OTP.");
+  } finally {
+    setOtpSending('forgot', false);
   }
-
-  setTimeout(() => {
-    forgotButton.disabled = false;
-    forgotButton.textContent = "Send OTP";
-  }, 10000);
 }
 
-// Step 2: Verify OTP
+// Step 2: Verify OTP and receive the reset token
 async function verifyForgotOtp() {
   const otp = document.getElementById("forgotOtp").value.trim();
-  if (!sessionState.resetEmail || !otp) return alert("Email and OTP required");
+  setFieldError('forgotOtpError', '');
 
-  try {
-    const res = await fetch(`${getAPIURL()}/sellers/verify-otp`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email: sessionState.resetEmail, otp })
-    });
+  if (!sessionState.resetEmail) {
+    showMessage("Please enter your registered email first", 'error');
+    showForgotStep('email');
+    return;
+  }
 
-    const data = await res.json();
-    if (res.ok) {
-      sessionState.forgotOtpVerified = true;
-      document.getElementById("resetPasswordSection").classList.remove("hidden");
-      alert("OTP verified! You can now reset your password.");
+  if (!/^\d{6}$/.test(otp)) {
+    setFieldError('forgotOtpError', "Please enter the 6-digit OTP from your email");
+    return;
+  }
+
+  const blocked = checkOtpVerify('forgot');
+  if (blocked) {
+    setFieldError('forgotOtpError', blocked);
+    return;
+  }
+
+  const verifyBtn = document.getElementById("forgotVerifyOtpBtn");
+  verifyBtn.disabled = true;
+
+  try {
+    const res = await postPublic('/sellers/forgot-password/verify', { email: sessionState.resetEmail, otp });
+    const data = res.data;
+
+    if (res.ok && data.resetToken) {
+      clearOtpFlow('forgot');
+      sessionState.resetToken = data.resetToken;
+      document.getElementById("forgotOtp").value = '';
+      showMessage("OTP verified! Choose a new password.", 'success');
+      showForgotStep('reset');
+    } else if (res.ok) {
+      showMessage("Could not start the password reset. Please request a new OTP.", 'error');
     } else {
-      alert(data.message);
+      // An unknown email (404) and a wrong code get the same answer and count
+      // the same towards the lockout, so neither reveals a registered address
+      const rejected = res.status === 404 || isOtpRejected(res.status);
+      if (rejected) recordOtpFailure('forgot', res.status, data);
+      const message = rejected && res.status !== 429
+        ? FORGOT_OTP_INVALID_MESSAGE
+        : getForgotPasswordError(res.status, data, FORGOT_OTP_INVALID_MESSAGE);
+      setFieldError('forgotOtpError', message);
+      showMessage(message, 'error');
     }
   } catch (err) {
-    alert("OTP verification failed");
+    handleApiError(err, "Network error occurred while verifying OTP.");
+  } finally {
+    verifyBtn.disabled = false;
   }
 }
 
-// Step 3: Reset password
+// Step 3: Reset password with the token from step 2
 async function resetForgotPassword() {
   const newPassword = document.getElementById("forgotNewPassword").value.trim();
-  if (!sessionState.resetEmail || !sessionState.forgotOtpVerified || !newPassword) {
-    return alert("Please verify OTP and enter new password");
+  const confirmPassword = document.getElementById("forgotConfirmPassword").value.trim();
+  setFieldError('forgotPasswordError', '');
+  setFieldError('forgotConfirmError', '');
+
+  if (!sessionState.resetToken) {
+    showMessage("Your reset session has expired. Please verify your email again.", 'error');
+    showForgotStep('email');
+    return;
+  }
+
+  const passwordCheck = passwordPolicy.evaluate(newPassword, { email: sessionState.resetEmail });
+  if (!passwordCheck.valid) {
+    setFieldError('forgotPasswordError', passwordCheck.errors[0]);
+    return;
+  }
+
+  if (newPassword !== confirmPassword) {
+    setFieldError('forgotConfirmError', "Passwords do not match");
+    return;
   }
 
+  const resetBtn = document.getElementById("forgotResetBtn");
+  resetBtn.disabled = true;
+
   try {
-    const res = await fetch(`${getAPIURL()}/sellers/forgot-password/reset`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email: sessionState.resetEmail, newPassword })
-    });
+    const res = await postPublic('/sellers/forgot-password/reset', { resetToken: sessionState.resetToken, newPassword });
+    const data = res.data;
 
-    const data = await res.json();
     if (res.ok) {
-  alert("Password reset successful. You can now log in.");
-  showTab("login");
-  location.reload(); // ✅ Refresh the page to clear any temp states
+      showMessage("Password reset successful. You can now log in.", 'success');
+      const email = sessionState.resetEmail;
+      resetForgotPasswordWizard();
+      document.getElementById("forgotPasswordTab").classList.add("hidden");
+      showTab("login");
+      document.getElementById("loginEmailOrPhone").value = email;
+    } else if (res.status === 401 || res.status === 403 || res.status === 410) {
+      // The reset token expired or was already used
+      showMessage(data.message || "Your reset session has expired. Please verify your email again.", 'error');
+      showForgotStep('email');
     } else {
-      alert(data.message);
+      const message = getForgotPasswordError(res.status, data, "Password reset failed");
+      setFieldError('forgotPasswordError', message);
+      showMessage(message, 'error');
     }
   } catch (err) {
-    alert("Password reset failed");
+    handleApiError(err, "Network error occurred while resetting password.");
+  } finally {
+    resetBtn.disabled = false;
   }
 }
+
+// A login finished in another tab - follow it to the dashboard
+authManager.onSessionChange(({ type }) => {
+  if (type === 'login' || type === 'switch') {
+    window.location.href = "index.html";
+  }
+});
@@ -1,34 +1,291 @@
-// API utilities and axios instance configuration
-import config from '../../config.js';
-import { handleError } from './error-handler.js';
-
-const axiosInstance = axios.create({
-  baseURL: config.API_BASE_URL,
-  timeout: 30000,
-  withCredentials: true,
-  headers: {
-    ...config.SECURITY_HEADERS
-  }
-});
-
-// Request interceptor
-axiosInstance.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('sellerAuthToken');
+// Seller API client - every dashboard request goes through this one client
+// so auth headers, body encoding, timeouts and errors are handled uniformly.
+
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+
+// Typed error thrown for every failed request
+class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP_ERROR', data = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.cause = cause;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isForbidden() {
+    return this.status === 403;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isNetworkError() {
+    return this.code === 'NETWORK_ERROR';
+  }
+
+  get isTimeout() {
+    return this.code === 'TIMEOUT';
+  }
+
+  get isAborted() {
+    return this.code === 'ABORTED';
+  }
+}
+
+// Map an HTTP status to a stable error code
+function getErrorCode(status) {
+  const codes = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    422: 'VALIDATION_ERROR',
+    429: 'RATE_LIMITED'
+  };
+  if (codes[status]) return codes[status];
+  return status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR';
+}
+
+class ApiClient {
+  constructor({ timeout = DEFAULT_TIMEOUT } = {}) {
+    this.timeout = timeout;
+    this.pending = new Map(); // cancelKey -> AbortController
+
+    // Hooks installed by the page that owns the session
+    this.refreshHandler = null; // async () => newToken | null
+    this.unauthorizedHandler = null; // (apiError) => void
+  }
+
+  getAuthToken() {
+    return localStorage.getItem('sellerAuthToken');
+  }
+
+  // Resolve a path against getAPIURL() and append query parameters
+  buildURL(path, query) {
+    const url = /^https?:\/\//.test(path) ? path : `${getAPIURL()}${path}`;
+    if (!query) return url;
+
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params.append(key, value);
+      }
+    });
+
+    const queryString = params.toString();
+    if (!queryString) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+  }
+
+  buildHeaders(body, headers, auth) {
+    const result = {
+      ...window.SECURITY_HEADERS,
+      ...headers
+    };
+
+    // FormData sets its own multipart boundary
+    if (body !== undefined && !(body instanceof FormData) && !(body instanceof Blob)) {
+      result['Content-Type'] = 'application/json';
+    }
+
+    const token = auth ? this.getAuthToken() : null;
     if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+      result['Authorization'] = `Bearer ${token}`;
+    }
+
+    return result;
+  }
+
+  encodeBody(body) {
+    if (body === undefined || body instanceof FormData || body instanceof Blob) {
+      return body;
+    }
+    return JSON.stringify(body);
+  }
+
+  // The server writes the audit entry together with the change it describes,
+  // so the values the seller saw travel in the same request
+  withAudit(body, audit) {
+    if (!audit) return body;
+    if (body instanceof FormData) {
+      body.set('audit', JSON.stringify(audit));
+      return body;
+    }
+    return { ...(body || {}), audit };
+  }
+
+  async parseBody(response, responseType) {
+    if (response.status === 204) return null;
+
+    if (response.ok && responseType === 'blob') return response.blob();
+    if (response.ok && responseType === 'text') return response.text();
+
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      if (response.ok && responseType === 'json') {
+        throw new ApiError('Invalid response from server', { status: response.status, code: 'PARSE_ERROR', data: text, cause: e });
+      }
+      return text;
+    }
+  }
+
+  // Abort an in-flight request started with the same cancelKey
+  cancel(cancelKey) {
+    const controller = this.pending.get(cancelKey);
+    if (controller) {
+      controller.abort();
+      this.pending.delete(cancelKey);
+    }
+  }
+
+  cancelAll() {
+    this.pending.forEach(controller => controller.abort());
+    this.pending.clear();
+  }
+
+  /**
+   * Perform a request against the seller API.
+   *
+   * Options: method, body (object or FormData), query, headers, auth (attach
+   * the seller token, default true), requireAuth (refuse to send without a
+   * token), timeout (ms), signal (external AbortSignal), cancelKey (a newer
+   * request with the same key aborts this one), responseType
+   * ('json' | 'blob' | 'text'), cache (fetch cache mode; 'no-store' also
+   * stops sw.js answering from its offline copy) and audit (the change's
+   * { action, entity, entityId, summary, before, after }, sent in the body).
+   *
+   * Resolves with the parsed body, rejects with an ApiError.
+   */
+  async request(path, options = {}) {
+    const {
+      method = 'GET',
+      body,
+      query,
+      headers = {},
+      auth = true,
+      requireAuth = false,
+      timeout = this.timeout,
+      signal,
+      cancelKey,
+      responseType = 'json',
+      cache,
+      audit,
+      retryOnUnauthorized = true
+    } = options;
+
+    // Writes that must never reach the backend anonymously
+    if (requireAuth && !this.getAuthToken()) {
+      const error = new ApiError('You are logged out. Please login again.', { status: 401, code: 'NO_SESSION' });
+      if (this.unauthorizedHandler) this.unauthorizedHandler(error);
+      throw error;
+    }
+
+    const controller = new AbortController();
+    if (cancelKey) {
+      this.cancel(cancelKey);
+      this.pending.set(cancelKey, controller);
+    }
+
+    let timedOut = false;
+    const timer = timeout ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+
+    const forwardAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    // Headers follow what is actually sent - a DELETE with an audit entry has a JSON body
+    const payload = this.withAudit(body, audit);
+
+    let response;
+    let data;
+    try {
+      response = await fetch(this.buildURL(path, query), {
+        method,
+        headers: this.buildHeaders(payload, headers, auth),
+        body: this.encodeBody(payload),
+        signal: controller.signal,
+        cache
+      });
+      data = await this.parseBody(response, responseType);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${Math.round(timeout / 1000)} seconds`, { code: 'TIMEOUT', cause: error });
+      }
+      if (error.name === 'AbortError') {
+        throw new ApiError('Request was cancelled', { code: 'ABORTED', cause: error });
+      }
+      throw new ApiError('Network error. Please check your connection.', { code: 'NETWORK_ERROR', cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+      if (cancelKey && this.pending.get(cancelKey) === controller) {
+        this.pending.delete(cancelKey);
+      }
+    }
+
+    if (response.ok) return data;
+
+    // Give the session owner one chance to refresh before giving up
+    if (response.status === 401 && auth && retryOnUnauthorized && this.refreshHandler) {
+      const newToken = await this.refreshHandler();
+      if (newToken) {
+        return this.request(path, { ...options, retryOnUnauthorized: false });
+      }
     }
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
 
-// Response interceptor
-axiosInstance.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    return handleError(error);
+    const message = (data && (data.message || data.error)) || `Request failed with status ${response.status}`;
+    const error = new ApiError(message, { status: response.status, code: getErrorCode(response.status), data });
+
+    if (error.isUnauthorized && auth && this.unauthorizedHandler) {
+      this.unauthorizedHandler(error);
+    }
+
+    throw error;
+  }
+
+  get(path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' });
   }
-);
 
-export default axiosInstance;
+  post(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  put(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'PUT', body });
+  }
+
+  patch(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'PATCH', body });
+  }
+
+  delete(path, options = {}) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  }
+}
+
+// Create global API client instance
+const apiClient = new ApiClient();
+
+// Export for use in other scripts
+window.ApiClient = ApiClient;
+window.ApiError = ApiError;
+window.apiClient = apiClient;
@@ -0,0 +1,78 @@
+// Audit trail of seller-side changes. The mutation endpoints write each entry
+// themselves, stamping who and when from the session token, so a change made
+// outside the dashboard is recorded too. Dashboard writes pass the before/after
+// values the seller saw in the same request (apiClient's audit option); this
+// file only reads the trail back for the Activity view.
+
+const AUDIT_ENTITIES = {
+    order: 'Order',
+    product: 'Product',
+    category: 'Category',
+    user: 'Customer',
+    email: 'Email campaign',
+    staff: 'Staff'
+};
+
+const AUDIT_PAGE_SIZE = 50;
+
+class AuditLog {
+    // filters: { entity, actor, from, to } - all optional. A newer listing
+    // cancels an older one unless options pass a different cancelKey.
+    async list(filters = {}, page = 1, options = {}) {
+        const data = await apiClient.get('/sellers/audit', {
+            query: { ...filters, page, limit: AUDIT_PAGE_SIZE },
+            requireAuth: true,
+            cancelKey: 'auditLog',
+            ...options
+        });
+        const entries = Array.isArray(data) ? data : (data?.entries || []);
+        return {
+            entries,
+            hasMore: data?.hasMore ?? entries.length === AUDIT_PAGE_SIZE
+        };
+    }
+
+    // Fields whose value differs between before and after
+    diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        return Array.from(fields)
+            .filter(field => this.formatValue(before?.[field]) !== this.formatValue(after?.[field]))
+            .map(field => ({ field, from: before?.[field], to: after?.[field] }));
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '—';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    describeChanges(entry) {
+        return this.diff(entry.before, entry.after)
+            .map(({ field, from, to }) => `${field}: ${this.formatValue(from)} → ${this.formatValue(to)}`)
+            .join('; ');
+    }
+
+    toCsv(entries) {
+        const header = ['When', 'Who', 'Role', 'Action', 'Entity', 'Entity ID', 'Summary', 'Changes'];
+        const rows = entries.map(entry => [
+            new Date(entry.createdAt).toISOString(),
+            entry.actor?.name || entry.actor?.email || '',
+            entry.actor?.role || 'owner',
+            entry.action,
+            AUDIT_ENTITIES[entry.entity] || entry.entity,
+            entry.entityId,
+            entry.summary,
+            this.describeChanges(entry)
+        ]);
+
+        return csv.stringify([header, ...rows]);
+    }
+}
+
+// Create global audit log instance
+const auditLog = new AuditLog();
+
+// Export for use in other scripts
+window.AuditLog = AuditLog;
+window.AUDIT_ENTITIES = AUDIT_ENTITIES;
+window.auditLog = auditLog;
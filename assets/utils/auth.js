@@ -1,5 +1,14 @@
-import { showNotification } from './notifications.js';
-import config from '../../config.js';
+// Seller session owner - the only code that reads or writes the token set
+// in localStorage. Used by both seller.js (login) and dashboard.js.
+
+const REFRESH_MARGIN = 5 * 60 * 1000; // refresh 5 minutes before expiry
+const SESSION_CHECK_INTERVAL = 60 * 1000; // fallback when SELLER_LIMITS does not set one
+const MAX_TIMER_DELAY = 2147483647; // setTimeout fires immediately above this
+
+const IDLE_KEYS = ['sellerLastActivity', 'sellerLocked']; // owned by idle.js
+const SESSION_KEYS = ['sellerAuthToken', 'refreshToken', 'tokenExpiry', 'sellerInfo', ...IDLE_KEYS];
+const SESSION_CHANNEL = 'seller-session';
+const OFFLINE_DATA_CACHE_PREFIX = 'seller-data-'; // matches DATA_CACHE in sw.js
 
 class AuthManager {
     constructor() {
@@ -7,14 +16,32 @@ class AuthManager {
         this.refreshToken = null;
         this.sellerInfo = null;
         this.tokenExpiry = null;
+
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        this.sessionCheckTimer = null;
+
+        // Called when the session cannot be kept alive any more
+        this.sessionExpiredHandler = null;
+
+        // Cross-tab session sync
+        this.listeners = [];
+        this.channel = null;
+        this.listenForSessionChanges();
     }
 
     init() {
+        this.syncFromStorage();
+    }
+
+    // Reload the in-memory session from localStorage, which all tabs share
+    syncFromStorage() {
         this.authToken = localStorage.getItem('sellerAuthToken');
         this.refreshToken = localStorage.getItem('refreshToken');
         this.tokenExpiry = localStorage.getItem('tokenExpiry');
         const storedSellerInfo = localStorage.getItem('sellerInfo');
 
+        this.sellerInfo = null;
         if (storedSellerInfo) {
             try {
                 this.sellerInfo = JSON.parse(storedSellerInfo);
@@ -23,83 +50,275 @@ class AuthManager {
             }
         }
 
-        // Set up token refresh interval
+        // Set up token refresh timer
         this.setupTokenRefresh();
     }
 
+    // Work out when a token expires: explicit expiresIn (seconds), then the
+    // JWT exp claim, then the configured default lifetime
+    resolveExpiry(token, expiresIn) {
+        if (expiresIn) {
+            return new Date(Date.now() + Number(expiresIn) * 1000).toISOString();
+        }
+
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            if (payload.exp) {
+                return new Date(payload.exp * 1000).toISOString();
+            }
+        } catch (e) {
+            // Not a JWT - fall through to the default lifetime
+        }
+
+        const lifetime = window.SELLER_LIMITS?.TOKEN_EXPIRY || 24 * 60 * 60 * 1000;
+        return new Date(Date.now() + lifetime).toISOString();
+    }
+
     setupTokenRefresh() {
-        if (this.tokenExpiry) {
-            const timeToExpiry = new Date(this.tokenExpiry) - new Date();
-            if (timeToExpiry > 0) {
-                // Refresh 5 minutes before expiry
-                setTimeout(() => this.refreshAuthToken(), timeToExpiry - 5 * 60 * 1000);
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (!this.authToken || !this.tokenExpiry || !this.refreshToken) return;
+
+        const timeToRefresh = new Date(this.tokenExpiry) - new Date() - REFRESH_MARGIN;
+        this.refreshTimer = setTimeout(async () => {
+            // A failed refresh logs out - offline, wait for the connection instead
+            if (!navigator.onLine) {
+                window.addEventListener('online', () => this.setupTokenRefresh(), { once: true });
+                return;
+            }
+            const token = await this.refreshAuthToken();
+            if (!token && this.sessionExpiredHandler) {
+                this.sessionExpiredHandler();
+            }
+        }, Math.min(Math.max(timeToRefresh, 0), MAX_TIMER_DELAY));
+    }
+
+    // Session changes are broadcast to other tabs over a BroadcastChannel;
+    // browsers without it fall back to storage events on the token key
+    listenForSessionChanges() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(SESSION_CHANNEL);
+            this.channel.onmessage = (event) => this.handleSessionEvent(event.data.type);
+            return;
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'sellerInfo' && event.newValue) {
+                this.handleSessionEvent('profile');
+                return;
+            }
+            if (event.key !== 'sellerAuthToken' && event.key !== null) return;
+
+            if (!event.newValue) {
+                this.handleSessionEvent('logout');
+            } else if (!event.oldValue) {
+                this.handleSessionEvent('login');
+            } else {
+                this.handleSessionEvent('refresh');
+            }
+        });
+    }
+
+    broadcast(type) {
+        if (this.channel) {
+            this.channel.postMessage({ type });
+        }
+    }
+
+    // Register a callback for session changes made in other tabs.
+    // Receives { type, sellerInfo } where type is 'login', 'logout',
+    // 'refresh', 'profile' (seller details edited) or 'switch' (a
+    // different seller logged in).
+    onSessionChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    handleSessionEvent(type) {
+        const previousSellerId = this.sellerInfo?.id;
+        this.syncFromStorage();
+
+        let eventType = type;
+        if (type !== 'logout' && previousSellerId && this.sellerInfo?.id !== previousSellerId) {
+            eventType = 'switch';
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener({ type: eventType, sellerInfo: this.sellerInfo });
+            } catch (error) {
+                console.error('Session change listener failed:', error);
             }
+        });
+    }
+
+    // Poll the server so a session revoked from another device logs this tab
+    // out promptly instead of on the next user action. A 401 here goes through
+    // apiClient's refresh-then-unauthorizedHandler path like any other request.
+    startSessionCheck() {
+        this.stopSessionCheck();
+        const interval = window.SELLER_LIMITS?.SESSION_CHECK_INTERVAL || SESSION_CHECK_INTERVAL;
+        this.sessionCheckTimer = setInterval(() => this.checkSession(), interval);
+
+        if (!this.visibilityListener) {
+            this.visibilityListener = () => {
+                if (!document.hidden && this.sessionCheckTimer) this.checkSession();
+            };
+            document.addEventListener('visibilitychange', this.visibilityListener);
         }
     }
 
-    async refreshAuthToken() {
+    stopSessionCheck() {
+        clearInterval(this.sessionCheckTimer);
+        this.sessionCheckTimer = null;
+    }
+
+    async checkSession() {
+        if (!this.authToken || document.hidden) return;
         try {
-            const response = await fetch(`${config.API_BASE_URL}/auth/refresh`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ refreshToken: this.refreshToken })
+            await apiClient.get('/sellers/sessions/current', { cancelKey: 'sessionCheck' });
+        } catch (error) {
+            // Network blips are ignored; revocation is handled by the 401 flow
+        }
+    }
+
+    // Single-flight: concurrent callers share one refresh request
+    refreshAuthToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performRefresh().finally(() => {
+                this.refreshPromise = null;
             });
+        }
+        return this.refreshPromise;
+    }
+
+    async performRefresh() {
+        // Another tab may already have refreshed (and rotated the refresh token)
+        const storedToken = localStorage.getItem('sellerAuthToken');
+        const storedExpiry = localStorage.getItem('tokenExpiry');
+        if (storedToken && storedToken !== this.authToken &&
+            (!storedExpiry || new Date(storedExpiry) - new Date() > REFRESH_MARGIN)) {
+            this.syncFromStorage();
+            return storedToken;
+        }
 
-            const data = await response.json();
-            if (data.token) {
-                this.setTokens(data.token, data.refreshToken, data.expiresIn);
-                return true;
+        const refreshToken = localStorage.getItem('refreshToken') || this.refreshToken;
+        if (!refreshToken) return null;
+
+        try {
+            const data = await apiClient.post('/auth/refresh', { refreshToken }, { auth: false });
+            if (data && data.token) {
+                // Servers that do not rotate refresh tokens omit it from the response
+                this.setTokens(data.token, data.refreshToken || refreshToken, data.expiresIn);
+                this.broadcast('refresh');
+                return data.token;
             }
-            return false;
         } catch (error) {
             console.error('Token refresh failed:', error);
-            this.logout();
-            return false;
         }
+        return null;
     }
 
     setTokens(token, refreshToken, expiresIn) {
         this.authToken = token;
-        this.refreshToken = refreshToken;
-        this.tokenExpiry = new Date(Date.now() + expiresIn * 1000).toISOString();
+        this.refreshToken = refreshToken || null;
+        this.tokenExpiry = this.resolveExpiry(token, expiresIn);
 
         localStorage.setItem('sellerAuthToken', token);
-        localStorage.setItem('refreshToken', refreshToken);
+        if (this.refreshToken) {
+            localStorage.setItem('refreshToken', this.refreshToken);
+        } else {
+            localStorage.removeItem('refreshToken');
+        }
         localStorage.setItem('tokenExpiry', this.tokenExpiry);
 
         this.setupTokenRefresh();
     }
 
+    // Persist the full token set returned by OTP verification
+    setSession({ token, refreshToken, expiresIn, sellerInfo }) {
+        // A fresh login starts with a clean idle clock
+        IDLE_KEYS.forEach(key => localStorage.removeItem(key));
+        this.clearOfflineData();
+        this.setTokens(token, refreshToken, expiresIn);
+        if (sellerInfo) {
+            this.setSellerInfo(sellerInfo);
+        }
+        this.broadcast('login');
+    }
+
+    setSellerInfo(sellerInfo) {
+        this.sellerInfo = sellerInfo;
+        localStorage.setItem('sellerInfo', JSON.stringify(sellerInfo));
+    }
+
+    // Profile edits made after login; other tabs refresh their copy
+    updateSellerInfo(sellerInfo) {
+        this.setSellerInfo(sellerInfo);
+        this.broadcast('profile');
+    }
+
+    getAuthToken() {
+        return this.authToken;
+    }
+
+    getSellerInfo() {
+        return this.sellerInfo;
+    }
+
     isAuthenticated() {
-        return !!this.authToken && new Date(this.tokenExpiry) > new Date();
+        if (!this.authToken) return false;
+        // Sessions stored before expiry tracking have no tokenExpiry
+        return !this.tokenExpiry || new Date(this.tokenExpiry) > new Date();
+    }
+
+    canRefresh() {
+        return !!this.refreshToken;
     }
 
     getAuthHeaders() {
         return {
-            'Authorization': `Bearer ${this.authToken}`,
-            ...config.SECURITY_HEADERS
+            'Authorization': `Bearer ${this.authToken}`
         };
     }
 
-    logout() {
-        localStorage.removeItem('sellerAuthToken');
-        localStorage.removeItem('refreshToken');
-        localStorage.removeItem('tokenExpiry');
-        localStorage.removeItem('sellerInfo');
-        
+    // API answers sw.js stored for offline use are shared by every seller on
+    // this browser - drop them whenever a session starts or ends, however it
+    // ends (logout, expiry, revocation), so no seller is shown another's data
+    async clearOfflineData() {
+        if (!('caches' in window)) return;
+        try {
+            const names = await caches.keys();
+            await Promise.all(names
+                .filter(name => name.startsWith(OFFLINE_DATA_CACHE_PREFIX))
+                .map(name => caches.delete(name)));
+        } catch (error) {
+            console.warn('Could not clear offline data:', error);
+        }
+    }
+
+    // Forget the session locally; callers decide what to show and where to go
+    clearSession() {
+        const hadSession = !!localStorage.getItem('sellerAuthToken');
+        SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+        if (hadSession) {
+            this.broadcast('logout');
+        }
+        this.clearOfflineData();
+        clearTimeout(this.refreshTimer);
+        this.stopSessionCheck();
+
         this.authToken = null;
         this.refreshToken = null;
         this.sellerInfo = null;
         this.tokenExpiry = null;
-
-        showNotification('Logged out successfully', 'success');
-        setTimeout(() => {
-            window.location.href = 'seller.html';
-        }, 1000);
+        this.refreshTimer = null;
     }
 }
 
-export const authManager = new AuthManager();
-export default authManager;
+// Create global auth manager instance
+const authManager = new AuthManager();
+
+// Export for use in other scripts
+window.AuthManager = AuthManager;
+window.authManager = authManager;
@@ -0,0 +1,71 @@
+// CSV reading and writing for dashboard exports and pasted imports.
+
+// Spreadsheet apps run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class Csv {
+    cell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // rows: arrays of cell values, the header row included
+    stringify(rows) {
+        return rows
+            .map(row => row.map(cell => this.cell(cell)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Parse CSV text (e.g. pasted from a spreadsheet) into rows of trimmed
+     * strings. Handles quoted cells with commas, quotes and line breaks;
+     * blank lines are dropped. Tab-separated text is accepted too.
+     */
+    parse(text) {
+        const delimiter = !text.includes(',') && text.includes('\t') ? '\t' : ',';
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell.trim());
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value !== ''));
+    }
+}
+
+// Create global CSV helper instance
+const csv = new Csv();
+
+// Export for use in other scripts
+window.Csv = Csv;
+window.csv = csv;
@@ -0,0 +1,134 @@
+// Inactivity tracking for the seller dashboard. The last activity time and
+// the lock flag live in localStorage, so working in one tab keeps every tab
+// unlocked and a lock (or a reload while locked) applies to all of them.
+
+const ACTIVITY_KEY = 'sellerLastActivity';
+const LOCK_KEY = 'sellerLocked';
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+const ACTIVITY_WRITE_INTERVAL = 5000; // throttle localStorage writes
+
+class IdleMonitor {
+    constructor() {
+        this.lockTimeout = null;
+        this.warningDuration = null;
+        this.logoutTimeout = null;
+
+        this.state = 'active'; // 'active' | 'warning' | 'locked' | 'loggedOut'
+        this.ticker = null;
+        this.lastWrite = 0;
+
+        // Hooks installed by the dashboard
+        this.warningHandler = null; // (secondsLeft) => void
+        this.activeHandler = null;
+        this.lockHandler = null;
+        this.logoutHandler = null;
+
+        this.recordActivity = this.recordActivity.bind(this);
+    }
+
+    start() {
+        const limits = window.SELLER_LIMITS || {};
+        this.lockTimeout = limits.IDLE_LOCK_TIMEOUT || 15 * 60 * 1000;
+        this.warningDuration = limits.IDLE_WARNING_DURATION || 60 * 1000;
+        this.logoutTimeout = limits.IDLE_LOGOUT_TIMEOUT || 60 * 60 * 1000;
+
+        if (!localStorage.getItem(ACTIVITY_KEY)) {
+            this.touch();
+        }
+
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this.recordActivity, { passive: true });
+        });
+
+        clearInterval(this.ticker);
+        this.ticker = setInterval(() => this.check(), 1000);
+        this.check();
+    }
+
+    stop() {
+        ACTIVITY_EVENTS.forEach(type => {
+            document.removeEventListener(type, this.recordActivity);
+        });
+        clearInterval(this.ticker);
+        this.ticker = null;
+    }
+
+    recordActivity() {
+        // Typing into the lock screen must not count as activity
+        if (this.isLocked()) return;
+
+        const now = Date.now();
+        if (this.state === 'active' && now - this.lastWrite < ACTIVITY_WRITE_INTERVAL) return;
+
+        this.touch(now);
+        if (this.state === 'warning') {
+            this.check();
+        }
+    }
+
+    touch(now = Date.now()) {
+        this.lastWrite = now;
+        localStorage.setItem(ACTIVITY_KEY, String(now));
+    }
+
+    getLastActivity() {
+        return Number(localStorage.getItem(ACTIVITY_KEY)) || Date.now();
+    }
+
+    isLocked() {
+        return localStorage.getItem(LOCK_KEY) === 'true';
+    }
+
+    check() {
+        const idleFor = Date.now() - this.getLastActivity();
+
+        if (idleFor >= this.logoutTimeout) {
+            this.stop();
+            this.setState('loggedOut');
+            return;
+        }
+
+        if (this.isLocked() || idleFor >= this.lockTimeout) {
+            localStorage.setItem(LOCK_KEY, 'true');
+            this.setState('locked');
+            return;
+        }
+
+        if (idleFor >= this.lockTimeout - this.warningDuration) {
+            this.state = 'warning';
+            if (this.warningHandler) {
+                this.warningHandler(Math.ceil((this.lockTimeout - idleFor) / 1000));
+            }
+            return;
+        }
+
+        this.setState('active');
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+
+        const handler = {
+            active: this.activeHandler,
+            locked: this.lockHandler,
+            loggedOut: this.logoutHandler
+        }[state];
+
+        if (handler) handler();
+    }
+
+    // Called once the seller has re-authenticated on the lock screen
+    unlock() {
+        localStorage.removeItem(LOCK_KEY);
+        this.touch();
+        this.check();
+    }
+}
+
+// Create global idle monitor instance
+const idleMonitor = new IdleMonitor();
+
+// Export for use in other scripts
+window.IdleMonitor = IdleMonitor;
+window.idleMonitor = idleMonitor;
@@ -0,0 +1,206 @@
+// Changes made while offline. Each one is stored in IndexedDB and sent again,
+// oldest first, when the connection returns. Before replaying, the current
+// server copy is compared with what the seller saw when making the change so
+// an edit made meanwhile by someone else is not silently overwritten.
+
+const MUTATION_DB_NAME = 'seller-dashboard';
+const MUTATION_STORE = 'mutations';
+const MUTATION_SYNC_TAG = 'seller-mutations'; // matches the sync handler in sw.js
+const MUTATION_REPLAY_LOCK = 'seller-mutation-replay';
+
+// Server values that mean "not set"
+function normaliseQueuedValue(value) {
+    return value === undefined || value === null || value === 'N/A' ? '' : String(value);
+}
+
+class MutationQueue {
+    constructor() {
+        this.dbPromise = null;
+        this.replaying = null;
+
+        // Hooks installed by the dashboard
+        this.changeHandler = null; // (entries) => void
+        this.appliedHandler = null; // (entry) => void
+
+        this.replay = this.replay.bind(this);
+    }
+
+    start() {
+        window.addEventListener('online', this.replay);
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data?.type === 'replay-mutations') this.replay();
+            });
+        }
+        this.notifyChange();
+        if (navigator.onLine) this.replay();
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(MUTATION_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request against the store and resolve with its result
+    async withStore(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(MUTATION_STORE, mode);
+            const request = action(transaction.objectStore(MUTATION_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getSellerId() {
+        const sellerInfo = authManager.getSellerInfo() || {};
+        return sellerInfo.id || sellerInfo._id || null;
+    }
+
+    /**
+     * Queue a change for later.
+     * entry: { method, path, body, summary, entity, entityId, check, audit }
+     * check: { path, before, after } - server fields as the seller saw them
+     * and as the change sets them; audit: apiClient's audit option for the request.
+     */
+    async enqueue(entry) {
+        await this.withStore('readwrite', store => store.add({
+            ...entry,
+            sellerId: this.getSellerId(),
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString()
+        }));
+        this.requestSync();
+        this.notifyChange();
+    }
+
+    // Changes queued by the signed-in seller, oldest first
+    async list() {
+        const sellerId = this.getSellerId();
+        const entries = await this.withStore('readonly', store => store.getAll());
+        return entries.filter(entry => entry.sellerId === sellerId);
+    }
+
+    async update(entry) {
+        await this.withStore('readwrite', store => store.put(entry));
+    }
+
+    async remove(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+    }
+
+    async discard(id) {
+        await this.remove(id);
+        this.notifyChange();
+    }
+
+    // Put a failed change back in line; force skips the conflict check
+    async retry(id, { force = false } = {}) {
+        const entry = (await this.list()).find(candidate => candidate.id === id);
+        if (!entry) return;
+        await this.update({ ...entry, status: 'pending', error: null, force });
+        this.notifyChange();
+        return this.replay();
+    }
+
+    async notifyChange() {
+        if (!this.changeHandler) return;
+        try {
+            this.changeHandler(await this.list());
+        } catch (error) {
+            console.warn('Could not read queued changes:', error);
+        }
+    }
+
+    // Let the service worker wake us when the browser sees the network again
+    requestSync() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync?.register(MUTATION_SYNC_TAG))
+            .catch(error => console.warn('Background sync not registered:', error));
+    }
+
+    // Single-flight per tab, and a Web Lock keeps two tabs from sending the same change
+    replay() {
+        if (!this.replaying) {
+            const run = () => this.replayPending().finally(() => this.notifyChange());
+            const locked = navigator.locks
+                ? navigator.locks.request(MUTATION_REPLAY_LOCK, { ifAvailable: true }, lock => lock && run())
+                : run();
+            this.replaying = locked.finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async replayPending() {
+        if (!navigator.onLine || !authManager.getAuthToken()) return;
+
+        // A change waits while an earlier one to the same record is unresolved
+        const blocked = new Set();
+
+        for (const entry of await this.list()) {
+            const key = `${entry.entity}:${entry.entityId}`;
+            if (entry.status !== 'pending' || blocked.has(key)) {
+                blocked.add(key);
+                continue;
+            }
+
+            try {
+                const state = entry.force ? 'changed' : await this.checkConflict(entry);
+                if (state === 'conflict') {
+                    await this.update({ ...entry, status: 'conflict', error: 'Changed by someone else since you edited it offline' });
+                    blocked.add(key);
+                    continue;
+                }
+                if (state === 'changed') {
+                    await apiClient.request(entry.path, { method: entry.method, body: entry.body, audit: entry.audit });
+                }
+
+                await this.remove(entry.id);
+                if (this.appliedHandler) this.appliedHandler(entry);
+            } catch (error) {
+                // Still offline or signed out - leave everything queued for next time
+                if (error.isNetworkError || error.isTimeout || error.isAborted || error.isUnauthorized) return;
+
+                await this.update({ ...entry, status: 'failed', error: error.message || 'Request failed' });
+                blocked.add(key);
+            }
+        }
+    }
+
+    /**
+     * Compare the server copy with the queued change.
+     * 'changed' - still as the seller saw it, send the change
+     * 'applied' - already matches the change (e.g. the first attempt got through)
+     * 'conflict' - someone else changed it meanwhile
+     */
+    async checkConflict(entry) {
+        if (!entry.check) return 'changed';
+
+        const current = await apiClient.get(entry.check.path, { cache: 'no-store' });
+        const matches = (expected) => Object.entries(expected)
+            .every(([field, value]) => normaliseQueuedValue(current?.[field]) === normaliseQueuedValue(value));
+
+        if (matches(entry.check.after)) return 'applied';
+        return matches(entry.check.before) ? 'changed' : 'conflict';
+    }
+}
+
+// Create global mutation queue instance
+const mutationQueue = new MutationQueue();
+
+// Export for use in other scripts
+window.MutationQueue = MutationQueue;
+window.mutationQueue = mutationQueue;
@@ -7,12 +7,9 @@ class NotificationManager {
     this.initializeToastr();
   }
 
-  // Get the correct base URL for API calls
+  // Get the correct base URL for API calls (resolved by config.new.js)
   getBaseUrl() {
-    // Use current origin or localhost for development
-    return window.location.protocol === 'file:' 
-      ? 'http://localhost:5000' 
-      : window.location.origin;
+    return getBaseURL();
   }
 
   // Initialize Toastr configuration
@@ -138,10 +135,8 @@ class NotificationManager {
       // Register service worker (basic one for push notifications)
       let swRegistration;
       try {
-        // Determine correct service worker path based on environment
-        const swPath = window.location.hostname.startsWith('seller.') 
-          ? '/sw.js'  // For seller subdomain, sw.js is at root
-          : '/seller-dashboard/sw.js';  // For other paths
+        // sw.js sits next to index.html; its scope tells it where the dashboard is
+        const swPath = `${getAppPath()}/sw.js`;
         
         swRegistration = await navigator.serviceWorker.register(swPath);
         console.log('✅ Service worker path used:', swPath);
@@ -193,23 +188,11 @@ class NotificationManager {
       }
       
       // Send subscription to backend
-      const authToken = localStorage.getItem('sellerAuthToken');
+      const authToken = window.authManager?.getAuthToken();
       if (authToken) {
         try {
-          const registerResponse = await fetch(`${getAPIURL()}/notifications/subscribe-push`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${authToken}`
-            },
-            body: JSON.stringify({ subscription })
-          });
-          
-          if (registerResponse.ok) {
-            console.log('✅ Push notifications registered with backend successfully');
-          } else {
-            console.warn('⚠️ Backend registration failed, but local notifications will still work');
-          }
+          await window.apiClient.post('/notifications/subscribe-push', { subscription });
+          console.log('✅ Push notifications registered with backend successfully');
         } catch (backendError) {
           console.warn('⚠️ Backend registration failed:', backendError.message);
           // Don't throw - local notifications can still work
@@ -0,0 +1,77 @@
+// Offline support for the dashboard. sw.js keeps the page shell and the last
+// answers to read-only API calls; this side registers the worker and shows a
+// banner while the data on screen came from that store instead of the server.
+
+class OfflineManager {
+    constructor() {
+        this.banner = null;
+        this.cachedAt = null; // oldest stored response shown since going offline
+
+        // Called when the connection comes back so the page can reload its data
+        this.reconnectHandler = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    start() {
+        this.banner = document.getElementById('offlineBanner');
+        this.register();
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', this.handleMessage);
+        }
+        window.addEventListener('offline', () => this.render());
+        window.addEventListener('online', () => {
+            this.cachedAt = null;
+            this.render();
+            if (this.reconnectHandler) this.reconnectHandler();
+        });
+        this.render();
+    }
+
+    // notifications.js registers the same script for push; registering twice is a no-op
+    register() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register(`${getAppPath()}/sw.js`).catch(error => {
+            console.warn('Service worker registration failed - no offline support:', error);
+        });
+    }
+
+    handleMessage(event) {
+        const { type, cachedAt } = event.data || {};
+
+        if (type === 'data-from-cache') {
+            const time = cachedAt ? new Date(cachedAt) : null;
+            if (time && (!this.cachedAt || time < this.cachedAt)) {
+                this.cachedAt = time;
+            }
+            this.render(true);
+        } else if (type === 'data-from-network' && navigator.onLine) {
+            this.cachedAt = null;
+            this.render();
+        }
+    }
+
+    isOffline() {
+        return !navigator.onLine;
+    }
+
+    render(servedFromCache = false) {
+        if (!this.banner) return;
+
+        const offline = this.isOffline() || servedFromCache || !!this.cachedAt;
+        this.banner.classList.toggle('hidden', !offline);
+        if (!offline) return;
+
+        this.banner.textContent = this.cachedAt
+            ? `📴 You're offline - showing data as of ${this.cachedAt.toLocaleString()}`
+            : "📴 You're offline - order updates will be sent when the connection is back";
+    }
+}
+
+// Create global offline manager instance
+const offlineManager = new OfflineManager();
+
+// Export for use in other scripts
+window.OfflineManager = OfflineManager;
+window.offlineManager = offlineManager;
@@ -0,0 +1,127 @@
+// Order and payment lifecycles. Every status lists the statuses it may move
+// to next; the dashboard only offers those. The server must apply the same
+// rules - this only keeps sellers from asking for an illegal move.
+
+const ORDER_STATUSES = [
+    'Pending',
+    'Processing',
+    'Packed',
+    'Shipped',
+    'Out for Delivery',
+    'Delivered',
+    'Canceled',
+    'Returned',
+    'RTO' // returned to origin - undeliverable, sent back by the courier
+];
+
+const ORDER_TRANSITIONS = {
+    'Pending': ['Processing', 'Canceled'],
+    'Processing': ['Packed', 'Canceled'],
+    'Packed': ['Shipped', 'Canceled'],
+    'Shipped': ['Out for Delivery', 'Delivered', 'RTO'],
+    'Out for Delivery': ['Delivered', 'RTO'],
+    'Delivered': ['Returned'],
+    'Canceled': [],
+    'Returned': [],
+    'RTO': []
+};
+
+// What a seller must fill in to move an order into a status
+const ORDER_STATUS_REQUIREMENTS = {
+    'Shipped': ['trackingId', 'courierPartner'],
+    'Canceled': ['reason'],
+    'Returned': ['reason'],
+    'RTO': ['reason']
+};
+
+const REQUIREMENT_LABELS = {
+    trackingId: 'Tracking ID',
+    courierPartner: 'Courier partner',
+    reason: 'Reason'
+};
+
+const PAYMENT_STATUSES = ['Pending', 'Paid', 'Failed', 'Refunded'];
+
+const PAYMENT_TRANSITIONS = {
+    'Pending': ['Paid', 'Failed'],
+    'Failed': ['Pending', 'Paid'], // the customer can retry a failed payment
+    'Paid': ['Refunded'],
+    'Refunded': []
+};
+
+// Moves that cannot be undone once made - ask before making them
+const IRREVERSIBLE_ORDER_STATUSES = ['Delivered', 'Canceled', 'Returned', 'RTO'];
+const IRREVERSIBLE_PAYMENT_STATUSES = ['Refunded'];
+
+class OrderLifecycle {
+    // Statuses reachable from the current one. Orders saved with a status
+    // this version does not know about can still be moved to any status.
+    getNextStatuses(status) {
+        return ORDER_TRANSITIONS[status] || ORDER_STATUSES.filter(candidate => candidate !== status);
+    }
+
+    getNextPaymentStatuses(status) {
+        return PAYMENT_TRANSITIONS[status] || PAYMENT_STATUSES.filter(candidate => candidate !== status);
+    }
+
+    isFinal(status) {
+        return this.getNextStatuses(status).length === 0;
+    }
+
+    isFinalPayment(status) {
+        return this.getNextPaymentStatuses(status).length === 0;
+    }
+
+    getRequirements(status) {
+        return ORDER_STATUS_REQUIREMENTS[status] || [];
+    }
+
+    needsConfirmation(status) {
+        return IRREVERSIBLE_ORDER_STATUSES.includes(status);
+    }
+
+    paymentNeedsConfirmation(status) {
+        return IRREVERSIBLE_PAYMENT_STATUSES.includes(status);
+    }
+
+    /**
+     * Check a status change. Keeping the same status is always allowed, so
+     * tracking details can be corrected without moving the order on.
+     * details: { trackingId, courierPartner, reason }
+     * Returns an error message, or null when the change is allowed.
+     */
+    validateTransition(from, to, details = {}) {
+        if (from !== to && !this.getNextStatuses(from).includes(to)) {
+            return `An order that is ${from} cannot be marked ${to}.`;
+        }
+
+        const missing = this.getRequirements(to)
+            .filter(field => !String(details[field] || '').trim())
+            .map(field => REQUIREMENT_LABELS[field]);
+        if (missing.length) {
+            return `${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required to mark an order ${to}.`;
+        }
+        return null;
+    }
+
+    validatePaymentTransition(from, to) {
+        if (from !== to && !this.getNextPaymentStatuses(from).includes(to)) {
+            return `A payment that is ${from} cannot be marked ${to}.`;
+        }
+        return null;
+    }
+
+    // CSS class suffix: "Out for Delivery" -> "out-for-delivery"
+    statusClass(status) {
+        return String(status || '').toLowerCase().replace(/\s+/g, '-');
+    }
+}
+
+// Create global order lifecycle instance
+const orderLifecycle = new OrderLifecycle();
+
+// Export for use in other scripts
+window.OrderLifecycle = OrderLifecycle;
+window.ORDER_STATUSES = ORDER_STATUSES;
+window.PAYMENT_STATUSES = PAYMENT_STATUSES;
+window.orderLifecycle = orderLifecycle;
@@ -0,0 +1,165 @@
+// Passkey (WebAuthn) sign-in for sellers. The server sends credential
+// options as JSON with base64url-encoded binary fields; this converts them
+// for navigator.credentials and serializes the resulting credential back.
+
+function base64urlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+function bufferToBase64url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+class PasskeyClient {
+    isSupported() {
+        return !!(window.PublicKeyCredential && navigator.credentials);
+    }
+
+    // True when this device has a built-in authenticator (Touch ID, Windows Hello, ...)
+    async isPlatformAuthenticatorAvailable() {
+        if (!this.isSupported()) return false;
+        try {
+            return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    decodeCreationOptions(options) {
+        const publicKey = options.publicKey || options;
+        return {
+            ...publicKey,
+            challenge: base64urlToBuffer(publicKey.challenge),
+            user: { ...publicKey.user, id: base64urlToBuffer(publicKey.user.id) },
+            excludeCredentials: (publicKey.excludeCredentials || []).map(credential => ({
+                ...credential,
+                id: base64urlToBuffer(credential.id)
+            })),
+            authenticatorSelection: {
+                authenticatorAttachment: 'platform',
+                residentKey: 'required',
+                userVerification: 'required',
+                ...publicKey.authenticatorSelection
+            }
+        };
+    }
+
+    decodeRequestOptions(options) {
+        const publicKey = options.publicKey || options;
+        return {
+            ...publicKey,
+            challenge: base64urlToBuffer(publicKey.challenge),
+            allowCredentials: (publicKey.allowCredentials || []).map(credential => ({
+                ...credential,
+                id: base64urlToBuffer(credential.id)
+            }))
+        };
+    }
+
+    serializeCredential(credential) {
+        const response = credential.response;
+        const result = {
+            id: credential.id,
+            rawId: bufferToBase64url(credential.rawId),
+            type: credential.type,
+            authenticatorAttachment: credential.authenticatorAttachment || null,
+            clientExtensionResults: credential.getClientExtensionResults ? credential.getClientExtensionResults() : {},
+            response: {
+                clientDataJSON: bufferToBase64url(response.clientDataJSON)
+            }
+        };
+
+        // Registration
+        if (response.attestationObject) {
+            result.response.attestationObject = bufferToBase64url(response.attestationObject);
+            result.response.transports = response.getTransports ? response.getTransports() : [];
+        }
+
+        // Authentication
+        if (response.authenticatorData) {
+            result.response.authenticatorData = bufferToBase64url(response.authenticatorData);
+            result.response.signature = bufferToBase64url(response.signature);
+            result.response.userHandle = response.userHandle ? bufferToBase64url(response.userHandle) : null;
+        }
+
+        return result;
+    }
+
+    // Create a passkey on this device for the logged-in seller
+    async register(name) {
+        const options = await apiClient.post('/sellers/passkeys/register/options', {}, { requireAuth: true });
+        const credential = await navigator.credentials.create({
+            publicKey: this.decodeCreationOptions(options)
+        });
+
+        return apiClient.post('/sellers/passkeys/register/verify', {
+            name,
+            challengeId: options.challengeId,
+            credential: this.serializeCredential(credential)
+        }, { requireAuth: true });
+    }
+
+    // Sign in with a passkey. Without an email/phone the browser offers every
+    // passkey it holds for this site. Resolves with the same token set as
+    // OTP verification plus the seller profile.
+    async authenticate(emailOrPhone) {
+        const options = await apiClient.post('/sellers/passkeys/login/options',
+            emailOrPhone ? { emailOrPhone } : {}, { auth: false });
+        const credential = await navigator.credentials.get({
+            publicKey: this.decodeRequestOptions(options)
+        });
+
+        return apiClient.post('/sellers/passkeys/login/verify', {
+            challengeId: options.challengeId,
+            credential: this.serializeCredential(credential)
+        }, { auth: false });
+    }
+
+    async list() {
+        const data = await apiClient.get('/sellers/passkeys', { requireAuth: true });
+        return Array.isArray(data) ? data : (data?.passkeys || []);
+    }
+
+    rename(id, name) {
+        return apiClient.patch(`/sellers/passkeys/${id}`, { name }, { requireAuth: true });
+    }
+
+    revoke(id) {
+        return apiClient.delete(`/sellers/passkeys/${id}`, { requireAuth: true });
+    }
+
+    // Readable message for errors raised by navigator.credentials
+    errorMessage(error) {
+        switch (error?.name) {
+            case 'NotAllowedError':
+                return 'Passkey request was cancelled or timed out.';
+            case 'InvalidStateError':
+                return 'This device already has a passkey for your account.';
+            case 'NotSupportedError':
+                return 'This device does not support passkeys.';
+            case 'SecurityError':
+                return 'Passkeys are not available on this site address.';
+            default:
+                return error?.message || 'Passkey operation failed. Please try again.';
+        }
+    }
+}
+
+// Create global passkey client instance
+const passkeys = new PasskeyClient();
+
+// Export for use in other scripts
+window.PasskeyClient = PasskeyClient;
+window.passkeys = passkeys;
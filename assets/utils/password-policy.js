@@ -0,0 +1,200 @@
+// Password policy shared by signup, forgot-password reset and change-password.
+// Rules come from window.PASSWORD_POLICY in config.new.js; anything missing
+// falls back to the defaults below. The server must still validate.
+
+const DEFAULT_PASSWORD_POLICY = {
+    MIN_LENGTH: 8,
+    MAX_LENGTH: 128,
+    MIN_SCORE: 2, // 0 (very weak) .. 4 (very strong)
+    REQUIRE_LOWERCASE: false,
+    REQUIRE_UPPERCASE: false,
+    REQUIRE_NUMBER: false,
+    REQUIRE_SYMBOL: false,
+    FORBID_PERSONAL_INFO: true,
+    BLOCKLIST: [] // extra passwords to reject on top of COMMON_PASSWORDS
+};
+
+const COMMON_PASSWORDS = [
+    '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000',
+    '123123', '654321', '666666', '121212', '112233', '7777777', '987654321',
+    'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'pass', 'password1', 'admin',
+    'administrator', 'root', 'welcome', 'letmein', 'login', 'master', 'secret',
+    'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r', 'qazwsx',
+    'iloveyou', 'sunshine', 'princess', 'football', 'cricket', 'baseball', 'monkey',
+    'dragon', 'shadow', 'superman', 'batman', 'trustno1', 'hello', 'freedom',
+    'whatever', 'starwars', 'charlie', 'michael', 'jennifer', 'computer', 'internet',
+    'abc123', 'abcdef', 'abcd1234', 'india', 'india123', 'bharat', 'krishna',
+    'ganesh', 'sairam', 'omsairam', 'jaishreeram', 'mumbai', 'delhi', 'chennai',
+    'seller', 'seller123', 'shop', 'shop123', 'store', 'store123', 'business',
+    'changeme', 'default', 'test', 'test123', 'guest', 'summer', 'winter'
+];
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+class PasswordPolicy {
+    getRules() {
+        return { ...DEFAULT_PASSWORD_POLICY, ...(window.PASSWORD_POLICY || {}) };
+    }
+
+    // "Password123!" is as guessable as "password"
+    isCommon(password) {
+        const rules = this.getRules();
+        const blocklist = COMMON_PASSWORDS.concat(rules.BLOCKLIST.map(entry => entry.toLowerCase()));
+        const lower = password.toLowerCase();
+        const stripped = lower.replace(/[\d\W_]+$/, '');
+        return blocklist.includes(lower) || (stripped.length >= 4 && blocklist.includes(stripped));
+    }
+
+    // Four or more consecutive characters such as "abcd" or "4321"
+    hasSequence(password) {
+        let run = 1;
+        let direction = 0;
+        for (let i = 1; i < password.length; i++) {
+            const step = password.charCodeAt(i) - password.charCodeAt(i - 1);
+            if ((step === 1 || step === -1) && (run === 1 || step === direction)) {
+                direction = step;
+                run++;
+                if (run >= 4) return true;
+            } else {
+                run = 1;
+                direction = 0;
+            }
+        }
+        return false;
+    }
+
+    // Name, shop name and email local part, normalised for comparison
+    getPersonalTerms({ email, name, vendorName } = {}) {
+        const terms = [];
+        if (email) terms.push(email.split('@')[0]);
+        if (name) terms.push(...name.split(/\s+/));
+        if (vendorName) terms.push(vendorName, ...vendorName.split(/\s+/));
+
+        return terms
+            .map(term => term.toLowerCase().replace(/[\s._-]+/g, ''))
+            .filter(term => term.length >= 3);
+    }
+
+    containsPersonalInfo(password, context) {
+        const normalised = password.toLowerCase().replace(/[\s._-]+/g, '');
+        return this.getPersonalTerms(context).some(term => normalised.includes(term));
+    }
+
+    // 0..4, favouring length over character-class tricks
+    score(password) {
+        if (!password || this.isCommon(password)) return 0;
+
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+        let points = Math.min(password.length, 24) / 3 + (classes - 1) * 1.5;
+
+        if (/(.)\1{2,}/.test(password)) points -= 2;
+        if (this.hasSequence(password)) points -= 2;
+        if (/^\d+$/.test(password)) points -= 2;
+
+        return Math.max(0, Math.min(4, Math.floor(points / 2.2)));
+    }
+
+    /**
+     * Check a password against the policy.
+     * context: { email, name, vendorName } used to reject personal details.
+     * Returns { valid, score, label, errors, suggestions } - errors block
+     * submission, suggestions are only advice.
+     */
+    evaluate(password = '', context = {}) {
+        const rules = this.getRules();
+        const errors = [];
+        const suggestions = [];
+
+        if (password.length < rules.MIN_LENGTH) {
+            errors.push(`Use at least ${rules.MIN_LENGTH} characters`);
+        }
+        if (password.length > rules.MAX_LENGTH) {
+            errors.push(`Use no more than ${rules.MAX_LENGTH} characters`);
+        }
+        if (rules.REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+            errors.push('Add a lowercase letter');
+        }
+        if (rules.REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+            errors.push('Add an uppercase letter');
+        }
+        if (rules.REQUIRE_NUMBER && !/\d/.test(password)) {
+            errors.push('Add a number');
+        }
+        if (rules.REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+            errors.push('Add a symbol such as ! or #');
+        }
+        if (password && this.isCommon(password)) {
+            errors.push('This password is too common');
+        }
+        if (rules.FORBID_PERSONAL_INFO && password && this.containsPersonalInfo(password, context)) {
+            errors.push("Don't use your email, name or shop name in your password");
+        }
+
+        const score = this.score(password);
+        if (errors.length === 0 && score < rules.MIN_SCORE) {
+            errors.push('Too easy to guess - try a longer phrase or mix in symbols');
+        }
+
+        if (score < 4) {
+            if (password.length < 12) suggestions.push('12 or more characters make a password much harder to guess');
+            if (/(.)\1{2,}/.test(password)) suggestions.push('Avoid repeated characters like "aaa"');
+            if (this.hasSequence(password)) suggestions.push('Avoid sequences like "abcd" or "1234"');
+        }
+
+        return {
+            valid: errors.length === 0,
+            score,
+            label: STRENGTH_LABELS[score],
+            errors,
+            suggestions
+        };
+    }
+
+    // Live strength bar and feedback list under a password input
+    attachMeter(input, container, getContext = () => ({})) {
+        container.classList.add('password-meter');
+        container.innerHTML = `
+            <div class="password-meter-track"><div class="password-meter-bar"></div></div>
+            <span class="password-meter-label"></span>
+            <ul class="password-feedback"></ul>
+        `;
+
+        const bar = container.querySelector('.password-meter-bar');
+        const label = container.querySelector('.password-meter-label');
+        const feedback = container.querySelector('.password-feedback');
+
+        const update = () => {
+            container.classList.toggle('hidden', !input.value);
+            if (!input.value) return;
+
+            const result = this.evaluate(input.value, getContext());
+            bar.style.width = `${(result.score + 1) * 20}%`;
+            bar.dataset.score = result.score;
+            label.textContent = result.label;
+
+            feedback.innerHTML = '';
+            result.errors.forEach(message => {
+                const item = document.createElement('li');
+                item.className = 'error';
+                item.textContent = message;
+                feedback.appendChild(item);
+            });
+            result.suggestions.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                feedback.appendChild(item);
+            });
+        };
+
+        input.addEventListener('input', update);
+        update();
+        return update;
+    }
+}
+
+// Create global password policy instance
+const passwordPolicy = new PasswordPolicy();
+
+// Export for use in other scripts
+window.PasswordPolicy = PasswordPolicy;
+window.passwordPolicy = passwordPolicy;
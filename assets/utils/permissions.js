@@ -0,0 +1,111 @@
+// Staff roles and what each one may do on the dashboard. The seller who owns
+// the shop is 'owner'; sub-accounts get one of the other roles. Hiding a
+// control here is only a convenience - the server enforces the same matrix.
+
+const PERMISSION_LABELS = {
+    'orders.view': 'View orders',
+    'orders.status': 'Update order status & tracking',
+    'orders.payment': 'Update payment status',
+    'orders.refund': 'Mark orders as refunded',
+    'orders.invoice': 'Generate invoices',
+    'catalog.edit': 'Add & edit products and categories',
+    'catalog.delete': 'Delete products and categories',
+    'users.view': 'View customers',
+    'users.manage': 'Block & delete customers',
+    'mail.send': 'Send marketing emails',
+    'reports.view': 'View sales reports',
+    'audit.view': 'View activity log',
+    'staff.manage': 'Manage staff accounts'
+};
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    manager: 'Manager',
+    packer: 'Packer',
+    support: 'Support',
+    accountant: 'Accountant'
+};
+
+const ROLE_PERMISSIONS = {
+    owner: Object.keys(PERMISSION_LABELS),
+    manager: Object.keys(PERMISSION_LABELS).filter(permission => permission !== 'staff.manage'),
+    packer: ['orders.view', 'orders.status', 'orders.invoice'],
+    support: ['orders.view', 'users.view'],
+    accountant: ['orders.view', 'orders.payment', 'orders.refund', 'orders.invoice', 'reports.view']
+};
+
+const DENIED_CLASS = 'permission-denied';
+
+class PermissionManager {
+    constructor() {
+        this.observer = null;
+    }
+
+    // Sessions stored before staff accounts existed belong to the shop owner
+    getRole() {
+        const role = authManager.getSellerInfo()?.role;
+        return ROLE_PERMISSIONS[role] ? role : 'owner';
+    }
+
+    getRoleLabel(role = this.getRole()) {
+        return ROLE_LABELS[role] || role;
+    }
+
+    // A permissions list sent with the seller profile overrides the role defaults
+    getPermissions() {
+        const permissions = authManager.getSellerInfo()?.permissions;
+        return Array.isArray(permissions) ? permissions : ROLE_PERMISSIONS[this.getRole()];
+    }
+
+    can(permission) {
+        return this.getPermissions().includes(permission);
+    }
+
+    /**
+     * Hide or disable every element under root carrying data-permission.
+     * data-permission-mode="disable" keeps the control visible but greyed
+     * out, which suits form fields whose current value is still useful.
+     */
+    apply(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-permission]'));
+        if (root.dataset?.permission) elements.unshift(root);
+
+        elements.forEach(element => {
+            const allowed = this.can(element.dataset.permission);
+
+            if (element.dataset.permissionMode === 'disable') {
+                if (!allowed) {
+                    element.disabled = true;
+                    element.title = `Not available to the ${this.getRoleLabel()} role`;
+                }
+            } else {
+                element.classList.toggle(DENIED_CLASS, !allowed);
+            }
+        });
+    }
+
+    // Keep applying to controls rendered later (order details, user lists, ...)
+    watch(root = document.body) {
+        this.apply(root);
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.apply(node);
+                });
+            });
+        });
+        this.observer.observe(root, { childList: true, subtree: true });
+    }
+}
+
+// Create global permission manager instance
+const permissions = new PermissionManager();
+
+// Export for use in other scripts
+window.PermissionManager = PermissionManager;
+window.PERMISSION_LABELS = PERMISSION_LABELS;
+window.ROLE_LABELS = ROLE_LABELS;
+window.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+window.permissions = permissions;
@@ -0,0 +1,101 @@
+// Stale-while-revalidate cache for read-only API calls. Fresh entries are
+// served from memory; stale ones are served at once while a background
+// request refreshes them. Identical requests in flight share one promise.
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000; // when SELLER_LIMITS.CACHE_TTL is unset
+
+// Per-endpoint lifetimes - the longest matching path prefix wins
+const CACHE_TTLS = {
+    '/categories': 10 * 60 * 1000,
+    '/products': 5 * 60 * 1000,
+    '/dashboard/stats': 60 * 1000
+};
+
+class RequestCache {
+    constructor() {
+        this.entries = new Map(); // key -> { data, timestamp }
+        this.inFlight = new Map(); // key -> Promise
+    }
+
+    buildKey(path, query) {
+        const params = new URLSearchParams();
+        Object.entries(query || {}).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) params.append(name, value);
+        });
+        const queryString = params.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    getTTL(path) {
+        const prefix = Object.keys(CACHE_TTLS)
+            .filter(candidate => path.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? CACHE_TTLS[prefix] : (window.SELLER_LIMITS?.CACHE_TTL || DEFAULT_CACHE_TTL);
+    }
+
+    /**
+     * Read through the cache.
+     *
+     * Options: query, ttl (ms, overrides CACHE_TTLS), force (skip the cached
+     * copy) and onUpdate (called with the new data when a stale copy was
+     * served and the background refresh returned something different).
+     * Anything else is passed to apiClient.get.
+     */
+    async get(path, { query, ttl = this.getTTL(path), force = false, onUpdate, ...options } = {}) {
+        const key = this.buildKey(path, query);
+        const entry = this.entries.get(key);
+
+        if (!entry || force) {
+            return this.fetch(key, path, query, options);
+        }
+
+        if (Date.now() - entry.timestamp >= ttl) {
+            this.fetch(key, path, query, options)
+                .then(data => {
+                    if (onUpdate && JSON.stringify(data) !== JSON.stringify(entry.data)) onUpdate(data);
+                })
+                .catch(error => console.warn(`Background refresh of ${path} failed:`, error));
+        }
+        return entry.data;
+    }
+
+    fetch(key, path, query, options) {
+        if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+        const request = apiClient.get(path, { ...options, query })
+            .then(data => {
+                // invalidate() drops in-flight requests; their answers predate the change
+                if (this.inFlight.get(key) === request) {
+                    this.entries.set(key, { data, timestamp: Date.now() });
+                }
+                return data;
+            })
+            .finally(() => {
+                if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    // Forget every entry under the given path prefixes after a mutation
+    invalidate(...prefixes) {
+        [this.entries, this.inFlight].forEach(map => {
+            Array.from(map.keys())
+                .filter(key => prefixes.some(prefix => key.startsWith(prefix)))
+                .forEach(key => map.delete(key));
+        });
+    }
+
+    clear() {
+        this.entries.clear();
+        this.inFlight.clear();
+    }
+}
+
+// Create global request cache instance
+const requestCache = new RequestCache();
+
+// Export for use in other scripts
+window.RequestCache = RequestCache;
+window.requestCache = requestCache;
@@ -0,0 +1,238 @@
+// Windowed list rendering for long dashboard lists (orders, products, users, categories).
+// Only the rows in and just around the visible part of the container are in
+// the DOM; the rest are represented by a spacer of the right height. Rows may
+// differ in height - each is measured once mounted, unmeasured rows use the
+// estimate.
+
+const VIRTUAL_LIST_OVERSCAN = 4; // rows mounted above and below the viewport
+
+class VirtualList {
+    /**
+     * container: the element to fill; it becomes the scrolling viewport.
+     * renderItem(item, index) returns the element for one row.
+     * estimatedHeight: px used for rows that have not been measured yet.
+     * minItemWidth: lay items out as a grid, as many per row as fit at this
+     * width (px) with gap (px) between them. Without it each item is a row.
+     */
+    constructor(container, { renderItem, estimatedHeight = 120, overscan = VIRTUAL_LIST_OVERSCAN, minItemWidth = null, gap = 0 }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.estimatedHeight = estimatedHeight;
+        this.overscan = overscan;
+        this.minItemWidth = minItemWidth;
+        this.gap = gap;
+
+        this.allItems = [];
+        this.columns = 1;
+        this.items = []; // rows - one item each, or a slice of items in a grid
+        this.heights = []; // measured height per index
+        this.offsets = [0]; // offsets[i] is the top of row i, offsets[length] the total
+        this.mounted = new Map(); // index -> row element
+        this.savedScrollTop = 0;
+        this.frame = null;
+
+        container.classList.add('virtual-list');
+        container.innerHTML = '';
+
+        this.message = document.createElement('div');
+        this.message.className = 'virtual-list-message hidden';
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'virtual-list-spacer';
+        this.rows = document.createElement('div');
+        this.rows.className = 'virtual-list-rows';
+        this.spacer.appendChild(this.rows);
+        container.append(this.message, this.spacer);
+
+        this.scheduleRender = this.scheduleRender.bind(this);
+        container.addEventListener('scroll', this.scheduleRender, { passive: true });
+
+        // Images loading and popups opening change sizes without a scroll event
+        this.resizeObserver = 'ResizeObserver' in window
+            ? new ResizeObserver(() => this.scheduleRender())
+            : null;
+        if (this.resizeObserver) this.resizeObserver.observe(container);
+    }
+
+    /**
+     * Replace the rows. The scroll position is kept (clamped to the new
+     * length) so a refresh does not throw the seller back to the top;
+     * pass resetScroll for a new query.
+     */
+    setItems(items, { resetScroll = false } = {}) {
+        const showingMessage = !this.message.classList.contains('hidden');
+        let scrollTop = showingMessage ? this.savedScrollTop : this.container.scrollTop;
+        if (resetScroll) scrollTop = 0;
+
+        this.allItems = Array.isArray(items) ? items : [];
+        this.unmountAll();
+        this.layoutRows();
+        this.computeOffsets();
+
+        this.message.classList.add('hidden');
+        this.spacer.classList.remove('hidden');
+        this.container.scrollTop = scrollTop;
+        this.render();
+    }
+
+    // Show a status line ("Loading...", "No orders found") in place of the rows
+    setMessage(text) {
+        if (this.message.classList.contains('hidden')) {
+            this.savedScrollTop = this.container.scrollTop;
+        }
+        this.allItems = [];
+        this.items = [];
+        this.unmountAll();
+        this.computeOffsets();
+
+        this.message.textContent = text;
+        this.message.classList.remove('hidden');
+        this.spacer.classList.add('hidden');
+    }
+
+    getItems() {
+        return this.allItems;
+    }
+
+    // False once something else has overwritten the container's contents
+    isAttached() {
+        return this.container.contains(this.spacer);
+    }
+
+    // Re-render the mounted rows, e.g. after the data behind one of them changed
+    refresh() {
+        this.unmountAll();
+        this.render();
+    }
+
+    // Split the items into rows; a grid fits as many per row as the width allows
+    layoutRows() {
+        this.columns = this.getColumns();
+        if (this.minItemWidth) {
+            this.items = [];
+            for (let i = 0; i < this.allItems.length; i += this.columns) {
+                this.items.push(this.allItems.slice(i, i + this.columns));
+            }
+        } else {
+            this.items = this.allItems;
+        }
+        this.heights = new Array(this.items.length);
+    }
+
+    getColumns() {
+        if (!this.minItemWidth) return 1;
+        // A hidden list has no width yet - keep the last layout
+        const width = this.container.clientWidth;
+        if (!width) return this.columns;
+        return Math.max(Math.floor((width + this.gap) / (this.minItemWidth + this.gap)), 1);
+    }
+
+    renderRow(index) {
+        if (!this.minItemWidth) return this.renderItem(this.items[index], index);
+
+        const grid = document.createElement('div');
+        grid.className = 'virtual-list-grid';
+        grid.style.gridTemplateColumns = `repeat(${this.columns}, minmax(0, 1fr))`;
+        grid.style.gap = `${this.gap}px`;
+        this.items[index].forEach((item, offset) => {
+            grid.appendChild(this.renderItem(item, index * this.columns + offset));
+        });
+        return grid;
+    }
+
+    computeOffsets() {
+        const offsets = new Array(this.items.length + 1);
+        offsets[0] = 0;
+        for (let i = 0; i < this.items.length; i++) {
+            offsets[i + 1] = offsets[i] + (this.heights[i] ?? this.estimatedHeight);
+        }
+        this.offsets = offsets;
+        this.spacer.style.height = `${offsets[this.items.length]}px`;
+    }
+
+    // Index of the row covering the given offset
+    indexAt(offset) {
+        let low = 0;
+        let high = this.items.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.offsets[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(low, 0);
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        if (!this.items.length) return;
+
+        // The container was resized to fit a different number of grid columns
+        if (this.minItemWidth && this.getColumns() !== this.columns) {
+            this.unmountAll();
+            this.layoutRows();
+            this.computeOffsets();
+        }
+
+        // A list inside a closed popup has no height yet - fill one screen
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const scrollTop = this.container.scrollTop;
+        const start = Math.max(this.indexAt(scrollTop) - this.overscan, 0);
+        const end = Math.min(this.indexAt(scrollTop + viewport) + this.overscan, this.items.length - 1);
+
+        this.mounted.forEach((row, index) => {
+            if (index < start || index > end) this.unmount(index);
+        });
+
+        for (let index = start; index <= end; index++) {
+            let row = this.mounted.get(index);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'virtual-list-row';
+                row.appendChild(this.renderRow(index));
+                this.mounted.set(index, row);
+                if (this.resizeObserver) this.resizeObserver.observe(row);
+            }
+            // Re-appending keeps rows in index order; it moves, not copies
+            this.rows.appendChild(row);
+        }
+        this.rows.style.transform = `translateY(${this.offsets[start]}px)`;
+
+        this.measure(start, end);
+    }
+
+    // Record real heights; if any estimate was off, lay out again
+    measure(start, end) {
+        let changed = false;
+        for (let index = start; index <= end; index++) {
+            const height = this.mounted.get(index).offsetHeight;
+            if (height && height !== this.heights[index]) {
+                this.heights[index] = height;
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.computeOffsets();
+            this.scheduleRender();
+        }
+    }
+
+    unmount(index) {
+        const row = this.mounted.get(index);
+        if (this.resizeObserver) this.resizeObserver.unobserve(row);
+        row.remove();
+        this.mounted.delete(index);
+    }
+
+    unmountAll() {
+        Array.from(this.mounted.keys()).forEach(index => this.unmount(index));
+    }
+}
+
+// Export for use in other scripts
+window.VirtualList = VirtualList;
@@ -6,125 +6,324 @@
 // Single source of truth (shared name with storefront for consistency)
 window.API_CONFIG = window.API_CONFIG || null;
 
-// Load configuration from backend
-async function loadAPIConfig() {
+// Named environment profiles. API_BASE_URL null derives the backend from the
+// page address: the same origin, or the main domain when the dashboard is
+// served from a seller. subdomain.
+const ENVIRONMENT_PROFILES = {
+  local: {
+    API_BASE_URL: null,
+    REQUIRE_HTTPS: false
+  },
+  staging: {
+    API_BASE_URL: 'https://staging.ripenred.com',
+    REQUIRE_HTTPS: true
+  },
+  production: {
+    API_BASE_URL: null,
+    REQUIRE_HTTPS: true
+  }
+};
+
+const ENV_OVERRIDE_KEY = 'sellerEnvOverride';
+const API_URL_OVERRIDE_KEY = 'sellerApiUrlOverride';
+
+let resolvedEnvironment = null;
+
+function detectEnvironment() {
+  const host = window.location.hostname;
+  if (window.location.protocol === 'file:' || host.includes('localhost') || host.includes('127.0.0.1')) {
+    return 'local';
+  }
+  return host.includes('staging') ? 'staging' : 'production';
+}
+
+// Page-address rule for profiles that leave API_BASE_URL unset
+function deriveBaseURL() {
+  const currentDomain = window.location.hostname;
+
+  if (window.location.protocol === 'file:') {
+    // Opened straight from disk - assume the backend's dev server
+    return 'http://localhost:5000';
+  }
+  if (currentDomain.startsWith('seller.')) {
+    // Seller subdomain - point to main domain
+    return window.location.protocol + '//' + currentDomain.replace('seller.', '');
+  }
+  return window.location.origin.replace(/\/$/, '');
+}
+
+// Absolute http(s) URL without a trailing slash, or null when unusable
+function normalizeBaseURL(value, requireHttps) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
   try {
-    // Determine the correct API domain based on current environment
-    let apiDomain;
-    const currentDomain = window.location.hostname;
-    
-    if (currentDomain.includes('localhost') || currentDomain.includes('127.0.0.1')) {
-      // Local development - use same origin
-      apiDomain = window.location.origin.replace(/\/$/, '');
-    } else if (currentDomain.startsWith('seller.')) {
-      // Production seller subdomain - point to main domain
-      apiDomain = window.location.protocol + '//' + currentDomain.replace('seller.', '');
+    const url = new URL(value.trim());
+    const allowed = requireHttps ? ['https:'] : ['https:', 'http:'];
+    if (!allowed.includes(url.protocol)) return null;
+    return (url.origin + url.pathname).replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// QA can switch profile with ?env=staging, remembered in localStorage until
+// ?env=auto, and ?apiBaseUrl=... points at any backend. Neither works on a
+// production host - a crafted link must not be able to send a seller's login
+// elsewhere - and anything saved there earlier is dropped.
+function readEnvironmentOverrides(detected) {
+  const params = new URLSearchParams(window.location.search);
+  const env = params.get('env');
+  const apiBaseUrl = params.get('apiBaseUrl');
+
+  if (detected === 'production') {
+    localStorage.removeItem(ENV_OVERRIDE_KEY);
+    localStorage.removeItem(API_URL_OVERRIDE_KEY);
+    if (env || apiBaseUrl) {
+      console.warn('⚠️ [Seller] Environment overrides are ignored on a production host');
+    }
+    return { env: null, apiBaseUrl: null };
+  }
+
+  if (env === 'auto') {
+    localStorage.removeItem(ENV_OVERRIDE_KEY);
+    localStorage.removeItem(API_URL_OVERRIDE_KEY);
+  } else if (env && ENVIRONMENT_PROFILES[env]) {
+    localStorage.setItem(ENV_OVERRIDE_KEY, env);
+  } else if (env) {
+    console.warn(`⚠️ [Seller] Unknown environment "${env}" - expected ${Object.keys(ENVIRONMENT_PROFILES).join(', ')} or auto`);
+  }
+  if (apiBaseUrl) {
+    localStorage.setItem(API_URL_OVERRIDE_KEY, apiBaseUrl);
+  }
+
+  const storedEnv = localStorage.getItem(ENV_OVERRIDE_KEY);
+  return {
+    env: ENVIRONMENT_PROFILES[storedEnv] ? storedEnv : null,
+    apiBaseUrl: localStorage.getItem(API_URL_OVERRIDE_KEY)
+  };
+}
+
+/**
+ * The one place that decides which backend this page talks to.
+ * Returns { name, API_BASE_URL, REQUIRE_HTTPS, overridden } and caches it
+ * for the lifetime of the page.
+ */
+function resolveEnvironment() {
+  if (resolvedEnvironment) return resolvedEnvironment;
+
+  const detected = detectEnvironment();
+  const overrides = readEnvironmentOverrides(detected);
+  const name = overrides.env || detected;
+  const profile = ENVIRONMENT_PROFILES[name];
+
+  resolvedEnvironment = {
+    name,
+    API_BASE_URL: profile.API_BASE_URL || deriveBaseURL(),
+    REQUIRE_HTTPS: profile.REQUIRE_HTTPS,
+    overridden: name !== detected
+  };
+
+  if (overrides.apiBaseUrl) {
+    const customURL = normalizeBaseURL(overrides.apiBaseUrl, false);
+    if (!customURL) {
+      console.warn('⚠️ [Seller] apiBaseUrl override is not a valid URL:', overrides.apiBaseUrl);
     } else {
-      // Default to current origin
-      apiDomain = window.location.origin.replace(/\/$/, '');
+      resolvedEnvironment.API_BASE_URL = customURL;
+      resolvedEnvironment.overridden = true;
     }
-    
+  }
+
+  if (resolvedEnvironment.overridden) {
+    console.warn(`⚠️ [Seller] Environment overridden: ${name} (${resolvedEnvironment.API_BASE_URL}). Add ?env=auto to the URL to undo.`);
+  }
+  return resolvedEnvironment;
+}
+
+// The api-config response decides where every request - including the
+// seller's password - goes, so a bad URL rejects it whole (errors). Bad
+// feature or limit entries are only skipped (warnings).
+function validateApiConfig(config, environment) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { errors: ['response is not a JSON object'], warnings: [], baseUrl: null, features: {}, limits: {} };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const rawURL = config.API_BASE_URL ?? config.apiBaseUrl;
+  let baseUrl = null;
+
+  if (rawURL !== undefined && rawURL !== null && rawURL !== '') {
+    baseUrl = normalizeBaseURL(rawURL, environment.REQUIRE_HTTPS);
+    if (!baseUrl) {
+      errors.push(`API_BASE_URL "${rawURL}" is not a valid ${environment.REQUIRE_HTTPS ? 'https ' : ''}URL`);
+    }
+  }
+
+  const features = {};
+  Object.entries(config.FEATURES ?? config.features ?? {}).forEach(([name, enabled]) => {
+    if (!(name in DEFAULT_FEATURES)) {
+      warnings.push(`unknown feature ${name}`);
+    } else if (typeof enabled !== 'boolean') {
+      warnings.push(`feature ${name} must be true or false`);
+    } else {
+      features[name] = enabled;
+    }
+  });
+
+  // Only limits the dashboard already knows, and only sensible numbers
+  const limits = {};
+  Object.entries(config.LIMITS ?? config.limits ?? {}).forEach(([name, value]) => {
+    if (typeof window.SELLER_LIMITS[name] !== 'number') {
+      warnings.push(`unknown limit ${name}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      warnings.push(`limit ${name} must be a positive number`);
+    } else {
+      limits[name] = value;
+    }
+  });
+
+  return { errors, warnings, baseUrl, features, limits };
+}
+
+function setAPIConfig(baseUrl, environment) {
+  window.API_CONFIG = {
+    ENVIRONMENT: environment.name,
+    BASE_URL: baseUrl,
+    API_URL: baseUrl + '/api'
+  };
+  return window.API_CONFIG;
+}
+
+// Load configuration from backend
+async function loadAPIConfig() {
+  const environment = resolveEnvironment();
+  const apiDomain = environment.API_BASE_URL;
+
+  try {
     console.log('🔍 [Seller] Trying to load config from:', `${apiDomain}/api/config/api-config`);
-    
-    const response = await fetch(`${apiDomain}/api/config/api-config`);
+
+    // With a session the backend can tailor feature flags to this seller
+    const token = localStorage.getItem('sellerAuthToken');
+    const response = await fetch(`${apiDomain}/api/config/api-config`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
-    const config = await response.json();
 
-    // Normalize and store
-    const baseUrl = (config.API_BASE_URL || config.apiBaseUrl || apiDomain).replace(/\/$/, '');
-    window.API_CONFIG = {
-      BASE_URL: baseUrl,
-      API_URL: baseUrl + '/api'
-    };
+    const { errors, warnings, baseUrl, features, limits } = validateApiConfig(await response.json(), environment);
+    if (errors.length > 0) {
+      throw new Error(`Invalid api-config response: ${errors.join('; ')}`);
+    }
+    if (warnings.length > 0) {
+      console.warn('⚠️ [Seller] Ignored api-config entries:', warnings.join('; '));
+    }
 
-    console.log('✅ [Seller] API Configuration loaded:', window.API_CONFIG);
-    return window.API_CONFIG;
+    // An explicit QA override wins over what the backend suggests
+    setAPIConfig(environment.overridden || !baseUrl ? apiDomain : baseUrl, environment);
+    Object.assign(window.FEATURE_FLAGS, features);
+    Object.assign(window.SELLER_LIMITS, limits);
+    console.log('✅ [Seller] API Configuration loaded:', window.API_CONFIG, window.FEATURE_FLAGS);
   } catch (error) {
     console.error('❌ [Seller] Failed to load API configuration:', error);
-    
-    // Smart fallback based on environment
-    let fallbackURL;
-    const currentDomain = window.location.hostname;
-    
-    if (currentDomain.includes('localhost') || currentDomain.includes('127.0.0.1')) {
-      // Local development
-      fallbackURL = window.location.origin.replace(/\/$/, '');
-    } else if (currentDomain.startsWith('seller.')) {
-      // Production - point to main domain
-      fallbackURL = window.location.protocol + '//' + currentDomain.replace('seller.', '');
-    } else {
-      // Default fallback
-      fallbackURL = window.location.origin.replace(/\/$/, '');
-    }
-    
-    window.API_CONFIG = {
-      BASE_URL: fallbackURL,
-      API_URL: fallbackURL + '/api'
-    };
-    
-    console.warn('⚠️ [Seller] Using smart fallback API configuration:', window.API_CONFIG);
-    return window.API_CONFIG;
+    setAPIConfig(apiDomain, environment);
+    console.warn(`⚠️ [Seller] Using ${environment.name} profile API configuration and default features:`, window.API_CONFIG);
   }
+
+  return window.API_CONFIG;
+}
+
+// Helper function to get base URL
+function getBaseURL() {
+  return window.API_CONFIG?.BASE_URL || resolveEnvironment().API_BASE_URL;
 }
 
 // Helper function to get API URL (used by other scripts)
 function getAPIURL() {
-  if (!window.API_CONFIG) {
-    // Smart immediate fallback based on domain
-    const currentDomain = window.location.hostname;
-    let fallbackURL;
-    
-    if (currentDomain.includes('localhost') || currentDomain.includes('127.0.0.1')) {
-      fallbackURL = window.location.origin.replace(/\/$/, '');
-    } else if (currentDomain.startsWith('seller.')) {
-      fallbackURL = window.location.protocol + '//' + currentDomain.replace('seller.', '');
-    } else {
-      fallbackURL = window.location.origin.replace(/\/$/, '');
-    }
-    
-    console.log('🔍 [Seller] getAPIURL() immediate fallback:', fallbackURL + '/api');
-    return fallbackURL + '/api';
-  }
-  
-  // Prefer explicit API_URL if present, else derive from BASE_URL
-  const apiUrl = window.API_CONFIG.API_URL || (window.API_CONFIG.BASE_URL + '/api');
-  console.log('🔍 [Seller] getAPIURL() from config:', apiUrl);
-  return apiUrl;
+  return window.API_CONFIG?.API_URL || `${getBaseURL()}/api`;
 }
 
-// Helper function to get base URL
-function getBaseURL() {
-  if (!window.API_CONFIG) {
-    // Smart immediate fallback based on domain
-    const currentDomain = window.location.hostname;
-    
-    if (currentDomain.includes('localhost') || currentDomain.includes('127.0.0.1')) {
-      return window.location.origin.replace(/\/$/, '');
-    } else if (currentDomain.startsWith('seller.')) {
-      return window.location.protocol + '//' + currentDomain.replace('seller.', '');
-    } else {
-      return window.location.origin.replace(/\/$/, '');
-    }
-  }
-  return window.API_CONFIG.BASE_URL;
+// Where the dashboard's own files live on this host: the root of the seller
+// subdomain, /seller-dashboard when the backend serves it (sw.js scope)
+function getAppPath() {
+  return window.location.hostname.startsWith('seller.') ? '' : '/seller-dashboard';
+}
+
+// Optional: expose limits used by seller dashboard
+window.SELLER_LIMITS = {
+  TOKEN_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
+  CACHE_TTL: 5 * 60 * 1000, // 5 minutes
+  IMAGE_MAX_SIZE: 10 * 1024 * 1024, // 10MB
+  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  IDLE_LOCK_TIMEOUT: 15 * 60 * 1000, // lock the dashboard after 15 minutes idle
+  IDLE_WARNING_DURATION: 60 * 1000, // countdown shown for the last minute before locking
+  IDLE_LOGOUT_TIMEOUT: 60 * 60 * 1000, // log out completely after 1 hour idle
+  OTP_RESEND_COOLDOWN: 30 * 1000, // first resend wait, doubled after every send
+  OTP_MAX_COOLDOWN: 10 * 60 * 1000, // cap for the resend wait
+  OTP_EXPIRY: 10 * 60 * 1000, // used when the server does not say when a code expires
+  OTP_MAX_VERIFY_ATTEMPTS: 5, // wrong codes allowed before locking verification
+  OTP_LOCKOUT_DURATION: 15 * 60 * 1000, // lockout after too many wrong codes
+  SESSION_CHECK_INTERVAL: 60 * 1000, // how often the dashboard confirms its session was not revoked
+  MAX_BULK_SIZE: 50, // orders per bulk invoice run
+  MAX_EMAIL_RECIPIENTS: 500 // recipients per custom email send
+};
+
+// Dashboard sections the backend can switch per seller through api-config
+// ({ FEATURES: { MAIL_SERVICE: false } }). These defaults apply when the
+// call fails, so they match what every seller has today.
+const DEFAULT_FEATURES = {
+  MAIL_SERVICE: true,
+  INVOICES: true,
+  SALES_REPORT: true,
+  ORDER_NOTIFICATIONS: true,
+  STAFF_ACCOUNTS: true,
+  ACTIVITY_LOG: true
+};
+
+window.FEATURE_FLAGS = { ...DEFAULT_FEATURES };
+
+function isFeatureEnabled(name) {
+  return window.FEATURE_FLAGS[name] === true;
 }
 
+// Password rules for signup, reset and change-password (see assets/utils/password-policy.js)
+window.PASSWORD_POLICY = {
+  MIN_LENGTH: 8,
+  MAX_LENGTH: 128,
+  MIN_SCORE: 2, // 0 (very weak) .. 4 (very strong)
+  REQUIRE_LOWERCASE: false,
+  REQUIRE_UPPERCASE: false,
+  REQUIRE_NUMBER: false,
+  REQUIRE_SYMBOL: false,
+  FORBID_PERSONAL_INFO: true, // reject passwords containing the email, name or shop name
+  BLOCKLIST: []
+};
+
+// Sent with every ApiClient request (assets/utils/api.js)
+window.SECURITY_HEADERS = {
+  'Accept': 'application/json',
+  'X-Requested-With': 'XMLHttpRequest'
+};
+
 // Auto-load configuration when script loads
-loadAPIConfig();
+const configReady = loadAPIConfig();
 
 // Export a seller-specific accessor to avoid ambiguity if both configs are on the same page
+// Script order for pages: config.new.js, then assets/utils/*.js (api.js
+// before auth.js), then the page script (dashboard.js or seller.js).
 window.sellerConfig = {
+  get API_BASE_URL() {
+    return getBaseURL();
+  },
+  SECURITY_HEADERS: window.SECURITY_HEADERS,
+  SELLER_LIMITS: window.SELLER_LIMITS,
+  FEATURE_FLAGS: window.FEATURE_FLAGS,
+  ready: configReady,
   loadAPIConfig,
   getAPIURL,
   getBaseURL,
-};
-
-// Optional: expose limits used by seller dashboard
-window.SELLER_LIMITS = {
-  TOKEN_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
-  CACHE_TTL: 5 * 60 * 1000, // 5 minutes
-  IMAGE_MAX_SIZE: 10 * 1024 * 1024, // 10MB
-  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']
+  getAppPath,
+  isFeatureEnabled,
+  resolveEnvironment,
+  ENVIRONMENT_PROFILES
 };
@@ -1,5 +1,52 @@
-// Simple Service Worker for Push Notifications
-// This handles push notifications when the dashboard is not open
+// Service Worker for push notifications and offline use
+// Push: shows order alerts when the dashboard is not open
+// Offline: keeps the dashboard shell and the last read-only data it fetched
+
+// The page registers this worker from the dashboard's own folder (getAppPath()
+// in config.new.js), so its scope is where index.html and the icon live
+const ICON_PATH = new URL('favicon.ico', self.registration.scope).pathname;
+const DASHBOARD_URL = new URL('index.html', self.registration.scope).pathname;
+
+// Bump on every release that changes SHELL_FILES; activate drops older caches
+const CACHE_VERSION = 'v7';
+const CACHE_PREFIX = 'seller-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`; // cleared by auth.js whenever a session starts or ends
+
+const SHELL_FILES = [
+  'index.html',
+  'config.new.js',
+  'assets/dashboard.js',
+  'assets/dashboard_new.css',
+  'assets/utils.css',
+  'assets/utils/notifications.js',
+  'assets/utils/api.js',
+  'assets/utils/auth.js',
+  'assets/utils/idle.js',
+  'assets/utils/passkeys.js',
+  'assets/utils/password-policy.js',
+  'assets/utils/permissions.js',
+  'assets/utils/csv.js',
+  'assets/utils/audit.js',
+  'assets/utils/request-cache.js',
+  'assets/utils/offline.js',
+  'assets/utils/mutation-queue.js',
+  'assets/utils/virtual-list.js',
+  'assets/utils/order-lifecycle.js'
+].map(file => new URL(file, self.registration.scope).href);
+
+// Calls to the seller API carry customer and staff data - they never go in the
+// shell cache, which outlives logout
+const API_PATH = /\/api\//;
+
+// Read-only API calls whose last answer is worth showing offline
+const OFFLINE_DATA_PATHS = /\/(dashboard\/all-orders|dashboard\/order|dashboard\/stats|products|categories)(\/|$)/;
+
+// Tag registered by mutation-queue.js when it stores an offline change
+const MUTATION_SYNC_TAG = 'seller-mutations';
+
+// Header stamped on stored API responses so the page can say how old they are
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
 
 self.addEventListener('push', function(event) {
   console.log('🔔 Push notification received:', event);
@@ -13,23 +60,21 @@ self.addEventListener('push', function(event) {
       notificationData = {
         title: 'New Notification',
         body: event.data.text() || 'You have a new notification',
-        icon: self.location.hostname.startsWith('seller.') ? '/favicon.ico' : '/seller-dashboard/favicon.ico'
+        icon: ICON_PATH
       };
     }
   } else {
     notificationData = {
       title: 'New Order Alert',
       body: 'You have received a new order!',
-      icon: self.location.hostname.startsWith('seller.') ? '/favicon.ico' : '/seller-dashboard/favicon.ico'
+      icon: ICON_PATH
     };
   }
 
-  const iconPath = self.location.hostname.startsWith('seller.') ? '/favicon.ico' : '/seller-dashboard/favicon.ico';
-  
   const options = {
     body: notificationData.body || notificationData.message,
-    icon: notificationData.icon || iconPath,
-    badge: iconPath,
+    icon: notificationData.icon || ICON_PATH,
+    badge: ICON_PATH,
     vibrate: [200, 100, 200],
     data: notificationData.data || {},
     actions: [
@@ -55,13 +100,8 @@ self.addEventListener('notificationclick', function(event) {
   event.notification.close();
 
   if (event.action === 'view' || !event.action) {
-    // Open the seller dashboard - use correct path based on current location
-    const dashboardUrl = self.location.hostname.startsWith('seller.') 
-      ? '/index.html'  // For seller subdomain
-      : '/seller-dashboard/index.html';  // For other domains
-    
     event.waitUntil(
-      clients.openWindow(dashboardUrl)
+      clients.openWindow(DASHBOARD_URL)
     );
   }
 });
@@ -70,13 +110,116 @@ self.addEventListener('notificationclose', function(event) {
   console.log('🔔 Notification closed:', event);
 });
 
-// Basic service worker installation
 self.addEventListener('install', function(event) {
   console.log('📦 Service Worker installing');
-  self.skipWaiting();
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', function(event) {
   console.log('✅ Service Worker activated');
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== DATA_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Stored without the query string, which can carry filters from the page
+    event.respondWith(networkFirst(request, SHELL_CACHE, {
+      cacheKey: `${url.origin}${url.pathname}`,
+      fallback: () => caches.match(DASHBOARD_URL)
+    }));
+  } else if (OFFLINE_DATA_PATHS.test(url.pathname) && request.headers.has('Authorization')) {
+    event.respondWith(fetchData(event));
+  } else if (isShellRequest(request, url)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+// The dashboard's own files plus the CDN scripts, styles and fonts it depends on
+function isShellRequest(request, url) {
+  if (request.headers.has('Authorization') || API_PATH.test(url.pathname)) return false;
+  if (url.origin === self.location.origin) {
+    return SHELL_FILES.includes(`${url.origin}${url.pathname}`);
+  }
+  return ['script', 'style', 'font'].includes(request.destination);
+}
+
+// Always try the network so a deploy is picked up at once; the cache is
+// only the fallback for when there is no connection
+async function networkFirst(request, cacheName, { cacheKey = request, fallback = () => undefined } = {}) {
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      const cache = await caches.open(cacheName);
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' }) || await fallback();
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// API reads: fresh data when online, the last stored copy when not. The page
+// is told which one it got so it can show or hide the offline banner.
+async function fetchData(event) {
+  const request = event.request;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, new Date().toISOString());
+      const stored = new Response(await response.clone().blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+      });
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(request, stored);
+    }
+    notifyClient(event.clientId, { type: 'data-from-network', url: request.url });
+    return response;
+  } catch (error) {
+    // no-store callers (e.g. conflict checks) need the live copy or nothing
+    const cached = request.cache !== 'no-store' && await caches.match(request, { cacheName: DATA_CACHE });
+    if (!cached) throw error;
+
+    notifyClient(event.clientId, {
+      type: 'data-from-cache',
+      url: request.url,
+      cachedAt: cached.headers.get(CACHED_AT_HEADER)
+    });
+    return cached;
+  }
+}
+
+// Queued changes are sent with the seller's token, which only the page holds,
+// so a sync just wakes the open dashboard tabs to replay them
+self.addEventListener('sync', function(event) {
+  if (event.tag !== MUTATION_SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then(windows => windows.forEach(client => client.postMessage({ type: 'replay-mutations' })))
+  );
 });
+
+async function notifyClient(clientId, message) {
+  const client = clientId && await self.clients.get(clientId);
+  if (client) client.postMessage(message);
+}